@@ -0,0 +1,155 @@
+/**
+ * Shared accessibility plumbing:
+ * - Motion preference: the OS `prefers-reduced-motion` setting, overridable
+ *   with the footer "Reduce animations" toggle (remembered in localStorage).
+ *   The choice is mirrored as `html.reduce-motion`, which stops CSS
+ *   transitions / animations; scripts ask `prefersReducedMotion()`.
+ * - One polite live region (#liveRegion) that every status message goes
+ *   through via `announce()`, so screen readers hear each update once.
+ * - Focus return for modals and the mobile offcanvas: whatever opened a
+ *   dialog gets focus back when it closes (or a target chosen with
+ *   `setFocusReturn()`, e.g. the section a menu link navigated to).
+ */
+const A11Y_CONFIG = { // Tunables
+    storageKey: 'ru.reduceMotion', // localStorage key for the toggle ('on' / 'off')
+    motionQuery: '(prefers-reduced-motion: reduce)', // OS-level preference
+    announceDelay: 100 // ms between clearing and filling the live region (repeats are re-read)
+}; // End A11Y_CONFIG
+
+const a11yState = { // Runtime state
+    reduceMotion: false, // Effective preference
+    stored: null, // Toggle override (true / false) or null to follow the OS
+    media: null, // MediaQueryList for the OS setting
+    announceTimer: null, // Pending live-region update
+    lastTrigger: null, // Last control the visitor activated
+    returnFocus: new WeakMap() // Dialog element → {target, force} to focus once hidden
+}; // End a11yState
+
+/**
+ * Applies the motion preference, binds the toggle(s) and starts focus
+ * tracking for dialogs. Runs right after i18n so nothing animates first.
+ */
+function initializeAccessibility() { // Setup a11y helpers
+    a11yState.stored = readMotionPreference(); // Saved toggle
+    a11yState.media = window.matchMedia ? window.matchMedia(A11Y_CONFIG.motionQuery) : null; // OS setting
+    if (a11yState.media && a11yState.media.addEventListener) a11yState.media.addEventListener('change', applyMotionPreference); // Follow OS changes
+    applyMotionPreference(); // Initial state
+
+    document.querySelectorAll('[data-action="toggle-motion"]').forEach(btn => { // Footer "Reduce animations"
+        btn.addEventListener('click', () => setMotionPreference(!a11yState.reduceMotion)); // Flip + remember
+    }); // End toggle binding
+
+    document.addEventListener('click', e => { // Remember the opener of programmatic dialogs
+        const control = e.target.closest('button, a[href], [tabindex]'); // Focusable control
+        if (control) a11yState.lastTrigger = control; // Safari doesn't focus clicked buttons
+    }, true); // Capture: runs before the handler that opens the dialog
+    ['modal', 'offcanvas'].forEach(type => { // Bootstrap dialog types
+        document.addEventListener(`show.bs.${type}`, rememberDialogTrigger); // Opening
+        document.addEventListener(`hidden.bs.${type}`, restoreDialogFocus); // Fully closed
+    }); // End dialog listeners
+} // End initializeAccessibility
+
+/**
+ * @returns {boolean} whether motion should be kept to a minimum
+ */
+function prefersReducedMotion() { // Effective preference
+    return a11yState.reduceMotion; // Toggle override or OS setting
+} // End prefersReducedMotion
+
+/**
+ * Stores the toggle choice and applies it.
+ * @param {boolean} reduce
+ */
+function setMotionPreference(reduce) { // Toggle handler
+    a11yState.stored = reduce; // Override the OS setting from now on
+    try { localStorage.setItem(A11Y_CONFIG.storageKey, reduce ? 'on' : 'off'); } catch (err) { /* storage unavailable */ } // Remember
+    applyMotionPreference(); // Update page
+    announce(t(reduce ? 'a11y.motionReduced' : 'a11y.motionRestored')); // Confirm the change
+} // End setMotionPreference
+
+/**
+ * @returns {?boolean} saved toggle choice, or null to follow the OS
+ */
+function readMotionPreference() { // Load saved choice
+    try { // Storage may be unavailable
+        const stored = localStorage.getItem(A11Y_CONFIG.storageKey); // 'on' / 'off'
+        return stored === 'on' ? true : stored === 'off' ? false : null; // Validate
+    } catch (err) { // Private mode
+        return null; // Follow the OS
+    } // End try/catch
+} // End readMotionPreference
+
+/**
+ * Resolves the effective preference and mirrors it on <html> and the
+ * toggle buttons' pressed state.
+ */
+function applyMotionPreference() { // Sync page with preference
+    const fromOs = Boolean(a11yState.media && a11yState.media.matches); // OS setting
+    a11yState.reduceMotion = a11yState.stored === null ? fromOs : a11yState.stored; // Toggle wins
+    document.documentElement.classList.toggle('reduce-motion', a11yState.reduceMotion); // CSS switch
+    document.querySelectorAll('[data-action="toggle-motion"]').forEach(btn => { // Toggle buttons
+        btn.setAttribute('aria-pressed', String(a11yState.reduceMotion)); // Pressed = reduced
+    }); // End buttons loop
+} // End applyMotionPreference
+
+/**
+ * Reads a message out through the shared live region. The region is
+ * cleared first so repeating the same message is announced again; calls
+ * within the delay collapse into the latest message.
+ * @param {string} message - user-facing copy
+ * @param {'polite'|'assertive'} [politeness] - assertive interrupts (errors)
+ */
+function announce(message, politeness = 'polite') { // Live announcement
+    const region = document.getElementById('liveRegion'); // Shared region
+    if (!region || !message) return; // Nothing to say / markup missing
+    clearTimeout(a11yState.announceTimer); // Latest message wins
+    region.textContent = ''; // Reset so repeats are re-read
+    region.setAttribute('aria-live', politeness); // Urgency of this message
+    a11yState.announceTimer = setTimeout(() => { region.textContent = message; }, A11Y_CONFIG.announceDelay); // Fill after AT notices the reset
+} // End announce
+
+/**
+ * Makes an element programmatically focusable (if needed) and focuses it
+ * without scrolling, e.g. a section reached through an in-page link.
+ * @param {HTMLElement} element
+ */
+function focusWithoutScroll(element) { // Move focus in place
+    if (!element) return; // Nothing to focus
+    if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) element.setAttribute('tabindex', '-1'); // Focusable, not tabbable
+    element.focus({ preventScroll: true }); // Keep the scroll position the caller set
+} // End focusWithoutScroll
+
+/**
+ * Overrides where focus goes when a dialog closes.
+ * @param {HTMLElement} dialog - .modal / .offcanvas element
+ * @param {HTMLElement} target - element to focus once hidden
+ */
+function setFocusReturn(dialog, target) { // Custom return target
+    a11yState.returnFocus.set(dialog, { target, force: true }); // Wins over Bootstrap's own focus return
+} // End setFocusReturn
+
+/**
+ * Remembers the control that opened a dialog.
+ * @param {Event} e - Bootstrap show.bs.modal / show.bs.offcanvas
+ */
+function rememberDialogTrigger(e) { // Opening dialog
+    const active = document.activeElement; // Usually the opener
+    const trigger = e.relatedTarget // Data-API opener
+        || (active && active !== document.body && !e.target.contains(active) ? active : a11yState.lastTrigger); // Programmatic opener
+    if (trigger && !e.target.contains(trigger)) a11yState.returnFocus.set(e.target, { target: trigger, force: false }); // Never a control inside the dialog
+} // End rememberDialogTrigger
+
+/**
+ * Returns focus after a dialog closed, unless the visitor already moved it
+ * elsewhere or the target has disappeared.
+ * @param {Event} e - Bootstrap hidden.bs.modal / hidden.bs.offcanvas
+ */
+function restoreDialogFocus(e) { // Closed dialog
+    const { target, force } = a11yState.returnFocus.get(e.target) || {}; // Opener or override
+    a11yState.returnFocus.delete(e.target); // One-shot
+    const active = document.activeElement; // Current focus
+    const stranded = !active || active === document.body || e.target.contains(active); // Focus left in the closed dialog
+    if (!target || !target.isConnected || !(stranded || force)) return; // Nothing to do
+    if (target.disabled || target.closest('[hidden], .d-none')) return; // Can't take focus
+    focusWithoutScroll(target); // Back where the visitor was
+} // End restoreDialogFocus
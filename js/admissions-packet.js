@@ -0,0 +1,295 @@
+/**
+ * "Build my packet": a take-away summary of what the visitor explored.
+ * The packet collects the programs in the comparison tray (or, with an
+ * empty tray, the programs recommended by the visitor profile). It also
+ * collects the Cost & Aid tuition rows for those programs' levels, the
+ * upcoming key deadlines, any net price estimate, the campuses offering
+ * the programs and the admissions contact details.
+ *
+ * #packetModal previews the packet and offers three ways to take it away:
+ * - Print: only the packet is printed, using css/components/admissions-packet-print.css.
+ * - Download: a self-contained HTML page or the raw JSON.
+ * - Email: the packet goes through the shared submission pipeline (queued
+ *   while offline), like the info request form.
+ *
+ * Interface copy follows the page language; the data itself comes from
+ * data/*.json and is not translated.
+ */
+const ADMISSIONS_PACKET_CONFIG = { // Defaults
+    fileName: 'rutgers-admissions-packet', // Download name (date + extension appended)
+    exportStyles: [ // Inline CSS for the downloaded HTML page (no external files)
+        'body{margin:2rem auto;max-width:760px;padding:0 1rem;font:15px/1.5 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#212529}', // Page
+        'h1{color:#cc0033;margin-bottom:.25rem}h2{border-bottom:2px solid #cc0033;padding-bottom:.25rem;margin-top:2rem}h3{margin-bottom:.25rem}', // Headings
+        'table{border-collapse:collapse;width:100%}th,td{border:1px solid #dee2e6;padding:.4rem .6rem;text-align:left}', // Tuition table
+        'dt{font-weight:600}dd{margin:0 0 .5rem}pre{white-space:pre-wrap;font:inherit}.packet-muted{color:#6c757d;font-size:.9em}' // Details
+    ].join('') // One block
+}; // End ADMISSIONS_PACKET_CONFIG
+
+const admissionsPacketState = { // Latest packet
+    packet: null // buildAdmissionsPacket() result shown in the modal
+}; // End admissionsPacketState
+
+/**
+ * Binds the "Build my packet" buttons and the modal actions.
+ */
+function initializeAdmissionsPacket() { // Setup packet builder
+    const modal = document.getElementById('packetModal'); // Packet modal
+    if (!modal) return; // Markup missing
+
+    document.addEventListener('click', e => { // "Build my packet" (tray, Cost & Aid)
+        if (e.target.closest('[data-action="build-packet"]')) openAdmissionsPacket(); // Gather + show
+    }); // End click handler
+    modal.addEventListener('click', e => { // Modal actions
+        const action = e.target.closest('[data-action]'); // Clicked action
+        if (!action) return; // Other click
+        if (action.dataset.action === 'print-packet') printAdmissionsPacket(); // Print view
+        if (action.dataset.action === 'download-packet') downloadAdmissionsPacket(action.dataset.format); // HTML / JSON
+    }); // End modal click handler
+    document.getElementById('packetEmailForm').addEventListener('submit', e => { // Email me this packet
+        e.preventDefault(); // Stay on page
+        emailAdmissionsPacket(); // Validate + submit
+    }); // End submit handler
+
+    document.addEventListener('localechange', () => { // Headings, dates and amounts follow the language
+        if (!modal.classList.contains('show')) return; // Rebuilt on next open anyway
+        admissionsPacketState.packet = buildAdmissionsPacket(); // Localised dates + estimate
+        renderAdmissionsPacketPreview(); // Repaint
+    }); // End localechange listener
+} // End initializeAdmissionsPacket
+
+/**
+ * Gathers the packet and opens the preview modal.
+ */
+function openAdmissionsPacket() { // Build + show
+    admissionsPacketState.packet = buildAdmissionsPacket(); // Snapshot of the page right now
+    renderAdmissionsPacketPreview(); // Preview markup
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('packetModal')).show(); // Open modal
+    trackEvent('packet_built', { programs: admissionsPacketState.packet.programs.map(program => program.id).join(',') }); // Analytics
+} // End openAdmissionsPacket
+
+/**
+ * Collects the packet contents from the page's modules and data.
+ * @returns {{generatedAt: string, locale: string, programs: Array<Object>, tuition: Array<Object>, deadlines: Array<Object>, estimate: ?string, campuses: Array<Object>, contact: Object}}
+ */
+function buildAdmissionsPacket() { // Page → packet data
+    const compared = programCompareState.selected; // Tray selection
+    const recommended = Array.from(document.querySelectorAll('#programsGrid .program-item.is-recommended'), card => card.dataset.programId); // Profile matches
+    const programs = (compared.length ? compared : recommended).map(getPacketProgram).filter(Boolean); // Program details
+    const levels = new Set(programs.flatMap(program => program.levelIds)); // Levels offered
+    const campusIds = new Set(programs.flatMap(program => program.campusIds)); // Campuses offering them
+
+    return { // Packet
+        generatedAt: new Date().toISOString(), // When it was built
+        locale: getLocale(), // Interface language
+        programs: programs.map(({ levelIds, campusIds: ids, ...program }) => program), // Without lookup ids
+        tuition: (renderedContentBlocks.tuition || []) // Same rows as the Cost & Aid table
+            .filter(row => !levels.size || levels.has(row.id)) // Relevant levels (all without programs)
+            .map(({ id, label, inState, outOfState }) => ({ id, label, inState, outOfState })), // Annual USD amounts
+        deadlines: getPacketDeadlines(), // Upcoming dates
+        estimate: costCalculatorState.estimate ? formatCostSummary(costCalculatorState.estimate) : null, // Net price calculator result
+        campuses: (renderedContentBlocks.campuses || []) // Same data as the campus cards
+            .filter(campus => !campusIds.size || campusIds.has(campus.id)) // Relevant campuses (all without programs)
+            .map(({ id, name, tag, description, facts, address }) => ({ id, name, tag, description, facts, address: address || null })), // Without images
+        contact: getPacketContact() // Admissions office
+    }; // End packet
+} // End buildAdmissionsPacket
+
+/**
+ * @param {string} id - program id
+ * @returns {?Object} card details plus the level / campus ids used to pick tuition rows and campuses
+ */
+function getPacketProgram(id) { // Card → packet program
+    const details = getCompareProgramDetails(id); // Same data as the comparison table
+    if (!details) return null; // Card not rendered
+    const card = getProgramCards().find(item => item.dataset.programId === id); // Program card
+    return { // Packet entry
+        id, // Program id
+        title: details.title, // Display name
+        levels: details.levels.map(level => getFacetLabel('level', level)), // Localised level labels
+        majors: details.majors, // Sample majors
+        campuses: details.campuses, // Campus names
+        levelIds: details.levels, // For tuition rows
+        campusIds: getCardFacetValues(card, 'campus') // For campus details
+    }; // End entry
+} // End getPacketProgram
+
+/**
+ * @returns {Array<{id: string, title: string, date: string, due: string, description: ?string}>} deadlines still ahead, soonest first
+ */
+function getPacketDeadlines() { // Upcoming deadlines
+    if (!deadlineTrackerState.deadlines.length) return []; // Data missing
+    const now = new Date(); // Reference time
+    const cycle = deadlineTrackerState.cycle || resolveDeadlineCycle(now); // Active cycle
+    return cycle.deadlines.filter(deadline => deadline.due > now).map(deadline => ({ // Upcoming only
+        id: deadline.id, // Deadline id
+        title: deadline.title, // Display name
+        date: deadline.due.toLocaleDateString(getIntlLocale(), { month: 'long', day: 'numeric', year: 'numeric', timeZone: deadlineTrackerState.timeZone }), // e.g. "November 1, 2026"
+        due: deadline.due.toISOString(), // Exact cut-off
+        description: deadline.description || null // Optional detail
+    })); // End map
+} // End getPacketDeadlines
+
+/**
+ * Reads the admissions phone, email and website from the #contact card so
+ * the packet never disagrees with the page.
+ * @returns {{phone: ?string, email: ?string, website: ?string}}
+ */
+function getPacketContact() { // Contact details
+    const link = selector => document.querySelector(`#contact ${selector}`); // Contact card link
+    const text = selector => (link(selector) ? link(selector).textContent.trim() : null); // Visible text
+    return { // Contact block
+        phone: text('a[href^="tel:"]'), // (732) 932-1766
+        email: text('a[href^="mailto:"]'), // admissions@…
+        website: link('a[href^="http"]') ? link('a[href^="http"]').href : null // Full URL
+    }; // End contact
+} // End getPacketContact
+
+/**
+ * Renders the packet as a standalone document fragment: used for the
+ * modal preview, the print view and the HTML download.
+ * @param {ReturnType<typeof buildAdmissionsPacket>} packet
+ * @returns {string} markup
+ */
+function renderAdmissionsPacket(packet) { // Packet template
+    const section = (key, body) => `<section class="packet-section"><h2>${escapeHtml(t(key))}</h2>${body}</section>`; // Section wrapper
+    const muted = key => `<p class="packet-muted">${escapeHtml(t(key))}</p>`; // Empty / note copy
+    const prepared = new Date(packet.generatedAt).toLocaleDateString(getIntlLocale(), { month: 'long', day: 'numeric', year: 'numeric' }); // Build date
+
+    const programs = packet.programs.length ? packet.programs.map(program => `<div class="packet-program">
+        <h3>${escapeHtml(program.title)}</h3>
+        <dl>
+            <dt>${escapeHtml(t('compare.rowLevels'))}</dt><dd>${escapeHtml(program.levels.join(', ') || '—')}</dd>
+            <dt>${escapeHtml(t('compare.rowMajors'))}</dt><dd>${escapeHtml(program.majors.join(', ') || '—')}</dd>
+            <dt>${escapeHtml(t('compare.rowCampus'))}</dt><dd>${escapeHtml(program.campuses.join(', ') || '—')}</dd>
+        </dl>
+    </div>`).join('') : muted('packet.noPrograms'); // Program details or hint
+
+    const tuition = packet.tuition.length ? `<table>
+        <thead><tr><th scope="col">${escapeHtml(t('costAid.tuitionLevel'))}</th><th scope="col">${escapeHtml(t('costAid.tuitionInState'))}</th><th scope="col">${escapeHtml(t('costAid.tuitionOutOfState'))}</th></tr></thead>
+        <tbody>${packet.tuition.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${formatCurrency(row.inState)}</td><td>${formatCurrency(row.outOfState)}</td></tr>`).join('')}</tbody>
+    </table>${muted('packet.tuitionNote')}` : muted('packet.unavailable'); // Rows or notice
+
+    const deadlines = packet.deadlines.length ? `<ul>${packet.deadlines.map(deadline => `<li>
+        <strong>${escapeHtml(deadline.date)}</strong>: ${escapeHtml(deadline.title)}${deadline.description ? `<br><span class="packet-muted">${escapeHtml(deadline.description)}</span>` : ''}
+    </li>`).join('')}</ul>` : muted('packet.unavailable'); // Dates or notice
+
+    const campuses = packet.campuses.length ? packet.campuses.map(campus => `<div class="packet-campus">
+        <h3>${escapeHtml(campus.name)} <span class="packet-muted">(${escapeHtml(campus.tag)})</span></h3>
+        <p>${escapeHtml(campus.description)}</p>
+        ${campus.address ? `<p>${escapeHtml(campus.address)}</p>` : ''}
+        <p class="packet-muted">${escapeHtml(campus.facts.join(' · '))}</p>
+    </div>`).join('') : muted('packet.unavailable'); // Campuses or notice
+
+    const { phone, email, website } = packet.contact; // Contact block
+    const contact = `<ul>
+        ${phone ? `<li>${escapeHtml(t('packet.phone'))}: ${escapeHtml(phone)}</li>` : ''}
+        ${email ? `<li>${escapeHtml(t('packet.email'))}: <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></li>` : ''}
+        ${website ? `<li>${escapeHtml(t('packet.website'))}: <a href="${escapeHtml(website)}">${escapeHtml(website)}</a></li>` : ''}
+    </ul>`; // Contact list
+
+    return `<article class="admissions-packet">
+        <header>
+            <h1>${escapeHtml(t('packet.documentTitle'))}</h1>
+            <p class="packet-muted">${escapeHtml(t('packet.prepared', { date: prepared }))}</p>
+        </header>
+        ${section('packet.programs', programs)}
+        ${section('packet.tuition', tuition)}
+        ${packet.estimate ? section('packet.estimate', `<pre>${escapeHtml(packet.estimate)}</pre>`) : ''}
+        ${section('packet.deadlines', deadlines)}
+        ${section('packet.campuses', campuses)}
+        ${section('packet.contact', contact)}
+    </article>`; // Document markup
+} // End renderAdmissionsPacket
+
+/**
+ * Paints the current packet into the modal preview.
+ */
+function renderAdmissionsPacketPreview() { // Modal preview
+    document.getElementById('packetPreview').innerHTML = renderAdmissionsPacket(admissionsPacketState.packet); // Same markup as print / download
+} // End renderAdmissionsPacketPreview
+
+/**
+ * Prints only the packet: it is copied into #packetPrint (outside the
+ * modal, so long packets flow across pages) and a body class switches the
+ * print stylesheet to hide everything else until the dialog closes.
+ */
+function printAdmissionsPacket() { // Print view
+    const print = document.getElementById('packetPrint'); // Print container
+    if (!admissionsPacketState.packet || !print) return; // Nothing to print
+    print.innerHTML = renderAdmissionsPacket(admissionsPacketState.packet); // Fresh copy
+    document.body.classList.add('printing-admissions-packet'); // Scope print styles
+    window.addEventListener('afterprint', () => { // Restore after dialog
+        document.body.classList.remove('printing-admissions-packet'); // Normal printing again
+        print.innerHTML = ''; // Drop the copy
+    }, { once: true }); // One-shot
+    window.print(); // Open print dialog
+    trackEvent('packet_exported', { format: 'print' }); // Analytics
+} // End printAdmissionsPacket
+
+/**
+ * Downloads the packet as a self-contained HTML page or as JSON.
+ * @param {'html'|'json'} format
+ */
+function downloadAdmissionsPacket(format) { // Export file
+    const packet = admissionsPacketState.packet; // Current packet
+    if (!packet) return; // Nothing to export
+    const html = format === 'html'; // Page or data?
+    const content = html // File body
+        ? `<!DOCTYPE html>
+<html lang="${escapeHtml(packet.locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(t('packet.documentTitle'))}</title>
+<style>${ADMISSIONS_PACKET_CONFIG.exportStyles}</style>
+</head>
+<body>
+${renderAdmissionsPacket(packet)}
+</body>
+</html>
+` // Standalone page
+        : JSON.stringify(packet, null, 2); // Raw data
+    const blob = new Blob([content], { type: html ? 'text/html;charset=utf-8' : 'application/json' }); // File payload
+    const link = document.createElement('a'); // Temporary download link
+    link.href = URL.createObjectURL(blob); // Object URL
+    link.download = `${ADMISSIONS_PACKET_CONFIG.fileName}-${packet.generatedAt.slice(0, 10)}.${html ? 'html' : 'json'}`; // File name
+    document.body.appendChild(link); // Firefox needs it attached
+    link.click(); // Trigger download
+    link.remove(); // Clean up element
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // Release blob after the click is handled
+    trackEvent('packet_exported', { format: html ? 'html' : 'json' }); // Analytics
+} // End downloadAdmissionsPacket
+
+/**
+ * Sends the packet to the given address through the submission pipeline
+ * (the collector emails it; offline requests are queued and replayed).
+ * @returns {Promise<void>}
+ */
+async function emailAdmissionsPacket() { // Email me this packet
+    const form = document.getElementById('packetEmailForm'); // Email form
+    if (!admissionsPacketState.packet || !validateForm(form)) return; // Nothing to send / invalid address (summary receives focus)
+    const button = document.getElementById('packetEmailBtn'); // Submit button
+    const original = button.innerHTML; // Store original button content
+    button.disabled = true; // Prevent duplicate emails
+    button.innerHTML = `<span class="loading"></span> ${escapeHtml(t('packet.sending'))}`; // Show loading indicator
+    const payload = { // Submission payload
+        email: document.getElementById('packetEmail').value.trim(), // Recipient
+        locale: getLocale(), // Language for the email
+        packet: admissionsPacketState.packet, // Packet data
+        submittedAt: new Date().toISOString() // Timestamp for tracking
+    }; // End payload
+    try { // Deliver via submission pipeline
+        const result = await submitPayload('admissionsPacket', payload, { endpoint: form.dataset.endpoint }); // POST or queue
+        showSuccessMessage(t(result.status === 'queued' ? 'packet.emailQueued' : 'packet.emailSent')); // Outcome-specific copy
+        form.reset(); // Clear address
+        clearFormValidation(form); // Drop stale validity styling
+        markFormCompleted(form.id); // Not an abandonment
+        trackEvent('packet_exported', { format: 'email' }); // Analytics
+    } catch (err) { // Server rejected or retries exhausted
+        console.error('Packet email failed', err); // Keep details for debugging
+        showSuccessMessage(t('packet.emailFailed'), 'error'); // Error feedback
+    } finally { // Always restore button
+        button.disabled = false; // Re-enable submit button
+        button.innerHTML = original; // Restore original button content
+    } // End try/catch/finally
+} // End emailAdmissionsPacket
@@ -0,0 +1,289 @@
+/**
+ * Consent-gated analytics. `trackEvent()` queues events in memory; queued
+ * events are delivered in batches through pluggable transports (a collector
+ * that POSTs JSON, using `navigator.sendBeacon` when the page is being
+ * hidden, plus a console logger enabled with `?analytics-debug`). Nothing
+ * reaches any transport, and no session id is stored, until the visitor
+ * accepts the consent banner; declining discards the queue. The
+ * choice is stored in localStorage and can be changed from the footer;
+ * changes are announced with a `consentchange` event on `document`.
+ *
+ * Automatic events: section views (fed by the scroll / reveal observers in
+ * script.js), CTA clicks (`[data-track-cta]`), Student Life tab switches and
+ * form start / abandonment for forms that submit (`form[data-endpoint]`).
+ */
+const ANALYTICS_CONFIG = { // Defaults (<meta name="analytics-endpoint"> overrides the endpoint)
+    endpoint: '/api/analytics', // Collector endpoint
+    transports: ['collector'], // Active transport names (see ANALYTICS_TRANSPORTS)
+    debugParam: 'analytics-debug', // Query flag that adds the console transport
+    batchSize: 10, // Flush as soon as this many events are queued
+    flushIntervalMs: 15000, // Otherwise flush on this interval
+    maxQueueSize: 200, // Drop oldest events beyond this (e.g. consent never answered)
+    consentKey: 'ru.analyticsConsent', // localStorage key for the consent choice
+    sessionKey: 'ru.analyticsSession' // sessionStorage key for the session id
+}; // End ANALYTICS_CONFIG
+
+/**
+ * Transport registry. A transport is `{ send(events, { unloading }) }`
+ * returning a promise; add entries here (and to ANALYTICS_CONFIG.transports)
+ * to forward events elsewhere.
+ */
+const ANALYTICS_TRANSPORTS = { // Name → transport
+    console: { // Developer logging (opt-in via ANALYTICS_CONFIG.debugParam)
+        send: events => { // Log each event
+            events.forEach(event => console.log(`Event tracked: ${event.name}`, event.props)); // One line per event
+            return Promise.resolve(); // Always succeeds
+        } // End send
+    }, // End console transport
+    collector: { send: sendAnalyticsBatch } // HTTP collector
+}; // End ANALYTICS_TRANSPORTS
+
+const analyticsState = { // Runtime state
+    consent: null, // 'granted' | 'denied' | null (not answered yet)
+    queue: [], // Events awaiting delivery
+    viewedSections: new Set(), // Section ids already reported this page view
+    forms: {} // Form id → { started, lastField } for abandonment tracking
+}; // End analyticsState
+
+/**
+ * Restores the consent choice (showing the banner when unanswered), starts
+ * the batch timer and binds the automatic event listeners.
+ */
+function initializeAnalytics() { // Setup analytics
+    const endpointMeta = document.querySelector('meta[name="analytics-endpoint"]'); // Deployment override
+    if (endpointMeta && endpointMeta.content) ANALYTICS_CONFIG.endpoint = endpointMeta.content; // Use configured collector
+    if (new URLSearchParams(window.location.search).has(ANALYTICS_CONFIG.debugParam)) ANALYTICS_CONFIG.transports.push('console'); // Opt-in event logging
+
+    analyticsState.consent = readAnalyticsConsent(); // Stored choice
+    if (!analyticsState.consent) showConsentBanner(); // Ask once
+    document.querySelectorAll('[data-consent]').forEach(btn => { // Accept / decline buttons
+        btn.addEventListener('click', () => setAnalyticsConsent(btn.dataset.consent)); // Persist choice
+    }); // End consent buttons
+    document.querySelectorAll('[data-action="consent-preferences"]').forEach(btn => { // Footer "Cookie preferences"
+        btn.addEventListener('click', showConsentBanner); // Reopen banner
+    }); // End preferences buttons
+
+    setInterval(flushAnalyticsQueue, ANALYTICS_CONFIG.flushIntervalMs); // Periodic batches
+    document.addEventListener('visibilitychange', () => { // Tab hidden / app switched
+        if (document.visibilityState === 'hidden') flushAnalyticsQueue({ unloading: true }); // Last chance on mobile
+    }); // End visibilitychange
+    window.addEventListener('pagehide', () => { // Navigating away / closing
+        Object.keys(analyticsState.forms).forEach(formId => reportFormAbandonment(formId, 'page_hidden')); // Unfinished forms
+        flushAnalyticsQueue({ unloading: true }); // Beacon remaining events
+    }); // End pagehide
+
+    bindCtaTracking(); // CTA clicks
+    bindTabTracking(); // Student Life tabs
+    bindFormTracking(); // Form start / abandonment
+} // End initializeAnalytics
+
+/**
+ * Queues an analytics event. Events are buffered until consent is given and
+ * dropped entirely once it is declined.
+ * @param {string} eventName
+ * @param {Object|string} [eventData] - properties (strings become `{ value }`)
+ */
+function trackEvent(eventName, eventData) { // Public tracking entry point
+    if (analyticsState.consent === 'denied') return; // Visitor opted out
+    const props = eventData && typeof eventData === 'object' ? eventData : (eventData === undefined ? {} : { value: eventData }); // Normalise properties
+    analyticsState.queue.push({ // Queue event
+        name: eventName, // Event name
+        props, // Event properties
+        timestamp: new Date().toISOString(), // When it happened
+        page: location.pathname + location.search // Where it happened
+    }); // End push
+    if (analyticsState.queue.length > ANALYTICS_CONFIG.maxQueueSize) analyticsState.queue.shift(); // Bound memory
+    if (analyticsState.queue.length >= ANALYTICS_CONFIG.batchSize) flushAnalyticsQueue(); // Full batch
+} // End trackEvent
+
+/**
+ * Sends every queued event, stamped with the session id, through each
+ * active transport. Delivery is best-effort: a failed batch is logged and
+ * dropped rather than retried, so a flaky collector can't produce duplicate
+ * counts.
+ * @param {{unloading?: boolean}} [options] - `unloading` prefers sendBeacon
+ * @returns {Promise<void>}
+ */
+function flushAnalyticsQueue(options = {}) { // Deliver queued events
+    if (analyticsState.consent !== 'granted' || !analyticsState.queue.length) return Promise.resolve(); // Nothing allowed / nothing queued
+    const sessionId = getAnalyticsSessionId(); // Created only once consent is granted
+    const batch = analyticsState.queue.splice(0).map(event => ({ ...event, sessionId })); // Take everything, grouped by visit
+    const sends = ANALYTICS_CONFIG.transports // Active transports
+        .map(name => ANALYTICS_TRANSPORTS[name]) // Resolve registry entries
+        .filter(Boolean) // Ignore unknown names
+        .map(transport => transport.send(batch, options)); // Dispatch batch
+    return Promise.allSettled(sends).then(results => { // Report failures
+        results.filter(result => result.status === 'rejected').forEach(result => console.warn('Analytics batch dropped', result.reason)); // Developer hint
+    }); // End allSettled
+} // End flushAnalyticsQueue
+
+/**
+ * Collector transport: sendBeacon while unloading (survives page close),
+ * otherwise a keepalive fetch.
+ * @param {Array<Object>} events
+ * @param {{unloading?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+function sendAnalyticsBatch(events, options = {}) { // POST batch to collector
+    const body = JSON.stringify({ events, sentAt: new Date().toISOString() }); // Batch payload
+    if (options.unloading && navigator.sendBeacon) { // Page going away
+        const queued = navigator.sendBeacon(ANALYTICS_CONFIG.endpoint, new Blob([body], { type: 'application/json' })); // Fire and forget
+        if (queued) return Promise.resolve(); // Browser accepted the beacon
+    } // End beacon branch
+    return fetch(ANALYTICS_CONFIG.endpoint, { // Regular delivery
+        method: 'POST', // Create events
+        headers: { 'Content-Type': 'application/json' }, // JSON body
+        body, // Batch payload
+        keepalive: true // Allow completion during navigation
+    }).then(response => { // Check status
+        if (!response.ok) throw new Error(`Analytics collector responded ${response.status}`); // Surface failure
+    }); // End fetch
+} // End sendAnalyticsBatch
+
+/**
+ * @returns {'granted'|'denied'|null} stored consent choice
+ */
+function readAnalyticsConsent() { // Load consent
+    try { // Storage may be unavailable / corrupt
+        const stored = JSON.parse(localStorage.getItem(ANALYTICS_CONFIG.consentKey)); // Parse stored record
+        return stored && ['granted', 'denied'].includes(stored.status) ? stored.status : null; // Validate
+    } catch (err) { // Treat as unanswered
+        return null; // Ask again
+    } // End try/catch
+} // End readAnalyticsConsent
+
+/**
+ * Stores the visitor's choice. Accepting delivers anything buffered so
+ * far; declining discards it.
+ * @param {'granted'|'denied'} status
+ */
+function setAnalyticsConsent(status) { // Save consent
+    analyticsState.consent = status; // Apply immediately
+    try { // Persist across visits
+        localStorage.setItem(ANALYTICS_CONFIG.consentKey, JSON.stringify({ status, updatedAt: new Date().toISOString() })); // Consent record
+    } catch (err) { // Private mode / quota
+        console.warn('Unable to store analytics consent', err); // Choice still applies for this page view
+    } // End try/catch
+    hideConsentBanner(); // Dismiss banner
+    if (status === 'granted') flushAnalyticsQueue(); // Deliver buffered events
+    else analyticsState.queue = []; // Forget buffered events
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: { status } })); // Let other modules follow the choice
+} // End setAnalyticsConsent
+
+/**
+ * Reveals the consent banner and moves focus to its first button.
+ */
+function showConsentBanner() { // Display consent banner
+    const banner = document.getElementById('consentBanner'); // Banner element
+    if (!banner) return; // Markup missing
+    banner.hidden = false; // Show
+    const firstButton = banner.querySelector('[data-consent]'); // First choice
+    if (firstButton && analyticsState.consent) firstButton.focus(); // Focus only when reopened on request
+} // End showConsentBanner
+
+/**
+ * Hides the consent banner.
+ */
+function hideConsentBanner() { // Dismiss consent banner
+    const banner = document.getElementById('consentBanner'); // Banner element
+    if (banner) banner.hidden = true; // Hide
+} // End hideConsentBanner
+
+/**
+ * @returns {string} id shared by all events of this browser session
+ */
+function getAnalyticsSessionId() { // Session id
+    try { // Storage may be unavailable
+        let id = sessionStorage.getItem(ANALYTICS_CONFIG.sessionKey); // Existing id
+        if (!id) { // First event of the session
+            id = createIdempotencyKey(); // Random UUID
+            sessionStorage.setItem(ANALYTICS_CONFIG.sessionKey, id); // Persist for this tab
+        } // End create
+        return id; // Session id
+    } catch (err) { // Storage blocked
+        return 'anonymous'; // Events just won't be grouped
+    } // End try/catch
+} // End getAnalyticsSessionId
+
+/**
+ * Reports the first time any part of a section becomes visible. Called from
+ * the existing IntersectionObserver callbacks in script.js.
+ * @param {Element} element - observed element (a section or something inside one)
+ */
+function recordSectionView(element) { // Section view event
+    const section = element.closest('section[id]'); // Owning section
+    if (!section || analyticsState.viewedSections.has(section.id)) return; // Untracked or already reported
+    analyticsState.viewedSections.add(section.id); // Report once per page view
+    trackEvent('section_view', { section: section.id }); // Emit event
+} // End recordSectionView
+
+/**
+ * Delegated click tracking for elements marked `data-track-cta`.
+ */
+function bindCtaTracking() { // CTA click events
+    document.addEventListener('click', e => { // Delegated listener
+        const cta = e.target.closest('[data-track-cta]'); // Marked CTA
+        if (!cta) return; // Other click
+        const section = cta.closest('section[id]'); // Placement context
+        trackEvent('cta_click', { cta: cta.dataset.trackCta, section: section ? section.id : 'footer' }); // Emit event
+    }); // End click listener
+} // End bindCtaTracking
+
+/**
+ * Reports Student Life tab switches.
+ */
+function bindTabTracking() { // Tab switch events
+    const tabs = document.getElementById('lifeTab'); // Student Life tablist
+    if (!tabs) return; // Markup missing
+    tabs.addEventListener('shown.bs.tab', e => { // Bootstrap tab shown (bubbles)
+        trackEvent('tab_view', { tablist: 'lifeTab', tab: e.target.getAttribute('aria-controls') }); // Emit event
+    }); // End shown listener
+} // End bindTabTracking
+
+/**
+ * Tracks form starts and abandonment for forms that submit somewhere.
+ * A form counts as abandoned when the visitor typed into it and then left
+ * the page (or closed the modal it lives in) without submitting. Only
+ * field ids are reported, never values.
+ */
+function bindFormTracking() { // Form funnel events
+    document.querySelectorAll('form[data-endpoint]').forEach(form => { // Submitting forms only
+        analyticsState.forms[form.id] = { started: false, lastField: null }; // Initial state
+        const onInteract = e => { // Any edit
+            const tracking = analyticsState.forms[form.id]; // Form state
+            if (!tracking.started) { // First edit
+                tracking.started = true; // Mark started
+                trackEvent('form_start', { form: form.id }); // Emit event
+            } // End first edit
+            tracking.lastField = e.target.id || e.target.name || null; // Where they were
+        }; // End onInteract
+        form.addEventListener('input', onInteract); // Typing
+        form.addEventListener('change', onInteract); // Selects / files
+    }); // End forms loop
+
+    document.querySelectorAll('.modal form[data-endpoint]').forEach(form => { // Application wizard, visit booking
+        form.closest('.modal').addEventListener('hidden.bs.modal', () => reportFormAbandonment(form.id, 'modal_closed')); // Closing counts as leaving
+    }); // End modal forms loop
+} // End bindFormTracking
+
+/**
+ * Emits `form_abandon` for a started, unsubmitted form and resets its state.
+ * @param {string} formId
+ * @param {string} reason - 'page_hidden' | 'modal_closed'
+ */
+function reportFormAbandonment(formId, reason) { // Abandonment event
+    const tracking = analyticsState.forms[formId]; // Form state
+    if (!tracking || !tracking.started) return; // Untouched or already reported
+    const props = { form: formId, lastField: tracking.lastField, reason }; // Event properties
+    if (formId === 'applicationForm') props.step = applicationWizard.step + 1; // Wizard progress (1-based)
+    trackEvent('form_abandon', props); // Emit event
+    markFormCompleted(formId); // Reset so a return visit counts as a new start
+} // End reportFormAbandonment
+
+/**
+ * Resets abandonment tracking after a successful submission.
+ * @param {string} formId
+ */
+function markFormCompleted(formId) { // Form finished
+    if (analyticsState.forms[formId]) analyticsState.forms[formId] = { started: false, lastField: null }; // Clear state
+} // End markFormCompleted
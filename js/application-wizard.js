@@ -0,0 +1,366 @@
+/**
+ * Multi-step application wizard for #applicationModal. Each
+ * `.wizard-step` fieldset is validated on its own before moving on, the
+ * progress list mirrors the current position, and every change is
+ * autosaved to localStorage so applicants can close the modal (or reload)
+ * and resume where they stopped.
+ */
+const APPLICATION_DRAFT_KEY = 'ru.applicationDraft'; // localStorage key for the in-progress draft
+
+const applicationWizard = { // Mutable wizard state shared with inline handlers
+    step: 0, // Index of the visible step
+    uploads: [] // Metadata ({name, size, type}) for selected supporting documents
+}; // End applicationWizard
+
+/**
+ * Wires autosave, word counting and upload metadata capture, then restores
+ * any saved draft and renders the starting step.
+ */
+function initializeApplicationWizard() { // Setup wizard behaviour
+    const form = document.getElementById('applicationForm'); // Wizard form
+    if (!form) return; // Exit if modal markup missing
+
+    const autosave = debounce(saveApplicationDraft, 400); // Avoid writing storage on every keystroke
+    form.addEventListener('input', autosave); // Save while typing
+    form.addEventListener('change', autosave); // Save select / date / file changes
+
+    const statement = document.getElementById('personalStatement'); // Essay textarea
+    statement && statement.addEventListener('input', updateStatementWordCount); // Live word count
+
+    const docs = document.getElementById('supportingDocs'); // File input
+    docs && docs.addEventListener('change', captureSupportingDocs); // Record metadata only
+
+    const modal = document.getElementById('applicationModal'); // Modal element
+    if (modal) { // Modal lifecycle
+        modal.addEventListener('shown.bs.modal', handleApplicationModalShown); // Focus + resume notice once visible
+        modal.addEventListener('hidden.bs.modal', saveApplicationDraft); // Flush pending edits on close
+    } // End modal listeners
+
+    document.addEventListener('localechange', () => { // Generated copy follows the language
+        renderApplicationStatus(); // Step counter + review summary
+        updateStatementWordCount(); // Word counter
+    }); // End localechange listener
+
+    restoreApplicationDraft(); // Resume previous session if any
+    updateStatementWordCount(); // Counter copy in the active language
+    goToApplicationStep(applicationWizard.step, { focus: false }); // Render initial state without stealing focus
+} // End initializeApplicationWizard
+
+/**
+ * @returns {HTMLFieldSetElement[]} wizard step fieldsets in order
+ */
+function getApplicationSteps() { // Collect step fieldsets
+    return Array.from(document.querySelectorAll('#applicationForm .wizard-step')); // NodeList → Array
+} // End getApplicationSteps
+
+/**
+ * Validates the controls inside one step against the application schema
+ * (see js/validation.js). With focus enabled the error summary is shown
+ * and receives focus.
+ * @param {number} index - Step index
+ * @param {{focus?: boolean}} [options]
+ * @returns {boolean} whether the step is valid
+ */
+function validateApplicationStep(index, options = {}) { // Per-step validation
+    const step = getApplicationSteps()[index]; // Target fieldset
+    if (!step) return true; // Nothing to validate
+    const fields = Array.from(step.querySelectorAll('input, select, textarea')); // Controls in this step
+    return validateForm(document.getElementById('applicationForm'), { fields, summary: options.focus !== false }); // Rules engine
+} // End validateApplicationStep
+
+/**
+ * Advances to the next step once the current one validates.
+ */
+function nextApplicationStep() { // Next button handler
+    if (!validateApplicationStep(applicationWizard.step)) return; // Stay put on errors
+    goToApplicationStep(applicationWizard.step + 1); // Move forward
+} // End nextApplicationStep
+
+/**
+ * Shows the requested step, updates progress + footer buttons and moves
+ * focus into the new step for keyboard and screen reader users.
+ * @param {number} index - Target step index
+ * @param {{focus?: boolean}} [options]
+ */
+function goToApplicationStep(index, options = {}) { // Step navigation
+    const steps = getApplicationSteps(); // All fieldsets
+    if (!steps.length) return; // Markup missing
+    const target = Math.max(0, Math.min(index, steps.length - 1)); // Clamp index
+    const isReview = target === steps.length - 1; // Final step shows summary
+    applicationWizard.step = target; // Persist position
+
+    steps.forEach((step, i) => { step.hidden = i !== target; }); // Only current step visible
+    document.querySelectorAll('#wizardProgress [data-step-target]').forEach((item, i) => { // Sync progress list
+        item.classList.toggle('active', i === target); // Current step marker
+        item.classList.toggle('complete', i < target); // Completed steps
+        if (i === target) item.setAttribute('aria-current', 'step'); // Announce current step
+        else item.removeAttribute('aria-current'); // Clear previous marker
+    }); // End progress sync
+
+    const back = document.getElementById('wizardBack'); // Back button
+    const next = document.getElementById('wizardNext'); // Next button
+    const submit = document.getElementById('wizardSubmit'); // Submit button
+    if (back) back.hidden = target === 0; // No Back on first step
+    if (next) next.hidden = isReview; // Review uses Submit instead
+    if (submit) submit.hidden = !isReview; // Submit only on review
+
+    renderApplicationStatus(); // Step counter + review summary
+    const form = document.getElementById('applicationForm'); // Wizard form
+    form && renderErrorSummary(form, []); // Previous step's summary no longer applies
+    if (options.focus !== false) { // Visitor-initiated step change
+        focusApplicationStep(); // Keep focus inside the visible step
+        announce(document.getElementById('wizardStatus').textContent); // "Step 2 of 5: …"
+    } // End focus branch
+    saveApplicationDraft(); // Remember position
+} // End goToApplicationStep
+
+/**
+ * Writes the "Step n of m" status and, on the last step, rebuilds the
+ * review summary from the current values.
+ */
+function renderApplicationStatus() { // Status + review copy
+    const steps = getApplicationSteps(); // All fieldsets
+    const step = steps[applicationWizard.step]; // Visible fieldset
+    if (!step) return; // Markup missing
+    const legend = step.querySelector('legend'); // Step heading
+    const status = document.getElementById('wizardStatus'); // Live status text
+    if (status) status.textContent = t('wizard.status', { step: applicationWizard.step + 1, total: steps.length, title: legend ? legend.textContent : '' }); // e.g. "Step 2 of 5: Academic History"
+    if (applicationWizard.step === steps.length - 1) renderApplicationReview(); // Build summary from current values
+} // End renderApplicationStatus
+
+/**
+ * Focuses the first editable control in the current step (or the step
+ * heading on the review step).
+ */
+function focusApplicationStep() { // Move focus into visible step
+    const step = getApplicationSteps()[applicationWizard.step]; // Visible fieldset
+    if (!step) return; // Nothing to focus
+    const field = step.querySelector('input, select, textarea'); // First control
+    (field || step.querySelector('legend')).focus(); // Review step falls back to heading
+} // End focusApplicationStep
+
+/**
+ * Modal `shown.bs.modal` handler: focuses the current step and reads out
+ * the resume banner when a draft was restored.
+ */
+function handleApplicationModalShown() { // Modal opened
+    focusApplicationStep(); // Keyboard users start inside the step
+    const notice = document.getElementById('draftNotice'); // Resume banner
+    if (notice && !notice.classList.contains('d-none')) announce(document.getElementById('draftNoticeText').textContent); // "Draft restored …"
+} // End handleApplicationModalShown
+
+/**
+ * Updates the personal statement word counter. The minimum comes from the
+ * validation schema so the hint and the rule cannot drift apart.
+ */
+function updateStatementWordCount() { // Live essay length feedback
+    const statement = document.getElementById('personalStatement'); // Essay textarea
+    const counter = document.getElementById('personalStatementCount'); // Counter text
+    if (!statement || !counter) return; // Markup missing
+    const minWords = VALIDATION_SCHEMAS.applicationForm.personalStatement.minWords; // Shared minimum
+    counter.textContent = t('wizard.wordCount', { count: countWords(statement.value), min: minWords }); // Update counter
+} // End updateStatementWordCount
+
+/**
+ * Records name/size/type for selected files. The files themselves are not
+ * uploaded or stored; admissions requests them after review.
+ * @param {Event} e - change event from #supportingDocs
+ */
+function captureSupportingDocs(e) { // Store upload metadata
+    const input = e.target; // File input
+    const files = Array.from(input.files || []); // Selected files
+    const maxFiles = VALIDATION_SCHEMAS.applicationForm.supportingDocs.maxFiles; // Limit enforced by rules engine
+    applicationWizard.uploads = files.slice(0, maxFiles).map(file => ({ // Keep metadata only
+        name: file.name, // Original file name
+        size: file.size, // Bytes
+        type: file.type // MIME type
+    })); // End map
+    renderSupportingDocs(); // Refresh list
+} // End captureSupportingDocs
+
+/**
+ * Renders the upload metadata list under the file input.
+ */
+function renderSupportingDocs() { // Show attached file details
+    const list = document.getElementById('supportingDocsList'); // List container
+    if (!list) return; // Markup missing
+    list.innerHTML = ''; // Clear previous entries
+    applicationWizard.uploads.forEach(doc => { // One row per file
+        const li = document.createElement('li'); // List item
+        li.textContent = `${doc.name} (${Math.max(1, Math.round(doc.size / 1024))} KB)`; // Name + size
+        list.appendChild(li); // Append row
+    }); // End uploads forEach
+} // End renderSupportingDocs
+
+/**
+ * Builds the structured application object. The top-level personal,
+ * program and start date fields keep the shape the quick form used so
+ * existing consumers of the payload continue to work.
+ * @returns {Object}
+ */
+function collectApplicationData() { // Assemble submission payload
+    const value = id => { // Read trimmed field value
+        const el = document.getElementById(id); // Field element
+        return el ? el.value.trim() : ''; // Empty string when missing
+    }; // End value helper
+    return { // Structured application
+        firstName: value('firstName'), // First name value
+        lastName: value('lastName'), // Last name value
+        email: value('email'), // Email value
+        program: value('program'), // Selected program value
+        startDate: value('startDate'), // Intended start date
+        personal: { // Extra contact details
+            phone: value('phone'), // Optional phone
+            birthDate: value('birthDate') // ISO date
+        }, // End personal
+        academic: { // Academic history
+            institution: value('highSchool'), // Most recent school
+            graduationYear: value('graduationYear') ? Number(value('graduationYear')) : null, // Numeric year
+            gpa: value('gpa') ? Number(value('gpa')) : null, // Optional GPA
+            priorCredits: value('priorCredits') // Free-text credits
+        }, // End academic
+        campusPreference: value('campus'), // Preferred campus
+        essays: { // Essay + document metadata
+            prompt: value('essayPrompt'), // Chosen prompt
+            personalStatement: value('personalStatement'), // Essay body
+            wordCount: countWords(value('personalStatement')), // Essay length
+            documents: applicationWizard.uploads.slice() // Upload metadata copy
+        }, // End essays
+        submittedAt: new Date().toISOString() // Timestamp of submission
+    }; // End return object
+} // End collectApplicationData
+
+/**
+ * Renders a read-only summary of each step with Edit shortcuts.
+ */
+function renderApplicationReview() { // Build review step
+    const container = document.getElementById('applicationReview'); // Summary container
+    if (!container) return; // Markup missing
+    container.innerHTML = ''; // Clear previous summary
+    const steps = getApplicationSteps(); // All fieldsets
+    steps.slice(0, -1).forEach((step, index) => { // Skip review step itself
+        const section = document.createElement('section'); // Wrapper per step
+        section.className = 'wizard-review-section'; // Styling hook
+        const header = document.createElement('div'); // Title row
+        header.className = 'd-flex justify-content-between align-items-center'; // Layout
+        const title = document.createElement('h6'); // Step title
+        title.className = 'fw-bold mb-2'; // Typography
+        title.textContent = step.querySelector('legend').textContent; // Reuse legend copy
+        const edit = document.createElement('button'); // Jump back button
+        edit.type = 'button'; // Avoid form submission
+        edit.className = 'btn btn-link btn-sm p-0'; // Link styling
+        edit.textContent = t('wizard.edit'); // Label
+        edit.setAttribute('aria-label', t('wizard.editSection', { title: title.textContent })); // Distinguish buttons for screen readers
+        edit.addEventListener('click', () => goToApplicationStep(index)); // Navigate to step
+        header.append(title, edit); // Assemble header
+
+        const list = document.createElement('dl'); // Field/value pairs
+        list.className = 'row small mb-3'; // Grid layout
+        step.querySelectorAll('input, select, textarea').forEach(field => { // Each control
+            const label = step.querySelector(`label[for="${field.id}"]`); // Matching label
+            const dt = document.createElement('dt'); // Term
+            dt.className = 'col-sm-4 fw-semibold'; // Column sizing
+            dt.textContent = label ? label.textContent.replace('*', '').trim() : field.id; // Strip required marker
+            const dd = document.createElement('dd'); // Description
+            dd.className = 'col-sm-8'; // Column sizing
+            dd.textContent = reviewValue(field) || '—'; // Human readable value
+            list.append(dt, dd); // Append pair
+        }); // End fields loop
+
+        section.append(header, list); // Assemble section
+        container.appendChild(section); // Add to summary
+    }); // End steps loop
+} // End renderApplicationReview
+
+/**
+ * @param {HTMLElement} field
+ * @returns {string} display text for the review summary
+ */
+function reviewValue(field) { // Format a field for review
+    if (field.type === 'file') return applicationWizard.uploads.map(doc => doc.name).join(', '); // File names
+    if (field.tagName === 'SELECT') return field.value ? field.options[field.selectedIndex].text : ''; // Option label
+    if (field.id === 'personalStatement' && field.value.trim()) return t('wizard.words', { count: countWords(field.value) }); // Essay length only
+    return field.value.trim(); // Raw value
+} // End reviewValue
+
+/**
+ * Writes current field values, step and upload metadata to localStorage.
+ */
+function saveApplicationDraft() { // Persist draft
+    const form = document.getElementById('applicationForm'); // Wizard form
+    if (!form) return; // Markup missing
+    const values = {}; // id → value map
+    form.querySelectorAll('input, select, textarea').forEach(field => { // Every control
+        if (field.type !== 'file' && field.id && field.value) values[field.id] = field.value; // Skip files + empty
+    }); // End fields loop
+    try { // Storage may be unavailable
+        if (!Object.keys(values).length && applicationWizard.step === 0) { // Nothing worth keeping
+            localStorage.removeItem(APPLICATION_DRAFT_KEY); // Drop stale draft
+            return; // Done
+        } // End empty check
+        localStorage.setItem(APPLICATION_DRAFT_KEY, JSON.stringify({ // Serialize draft
+            step: applicationWizard.step, // Current step
+            values, // Field values
+            uploads: applicationWizard.uploads, // Upload metadata
+            savedAt: new Date().toISOString() // Save timestamp
+        })); // End setItem
+    } catch (err) { // Quota / privacy mode
+        console.warn('Unable to save application draft', err); // Non-fatal
+    } // End try/catch
+} // End saveApplicationDraft
+
+/**
+ * Restores a saved draft into the form and shows the resume notice.
+ */
+function restoreApplicationDraft() { // Load draft
+    let draft = null; // Parsed draft
+    try { // Guard against corrupt JSON
+        draft = JSON.parse(localStorage.getItem(APPLICATION_DRAFT_KEY)); // Read draft
+    } catch (err) { // Malformed / unavailable
+        draft = null; // Ignore
+    } // End try/catch
+    if (!draft || !draft.values) return; // No draft to restore
+
+    Object.entries(draft.values).forEach(([id, value]) => { // Refill each field
+        const field = document.getElementById(id); // Field element
+        if (field && field.type !== 'file') field.value = value; // Files cannot be restored
+    }); // End values loop
+    applicationWizard.uploads = Array.isArray(draft.uploads) ? draft.uploads : []; // Upload metadata
+    applicationWizard.step = Number(draft.step) || 0; // Saved position
+    renderSupportingDocs(); // Show remembered file names
+    updateStatementWordCount(); // Sync counter
+
+    const notice = document.getElementById('draftNotice'); // Resume banner
+    const text = document.getElementById('draftNoticeText'); // Banner copy
+    if (notice && text) { // Banner available
+        const savedAt = draft.savedAt ? new Date(draft.savedAt).toLocaleString(getIntlLocale()) : ''; // Friendly timestamp
+        translateElement(text, savedAt ? 'wizard.draftRestoredOn' : 'wizard.draftRestored', savedAt ? { date: savedAt } : undefined); // Copy
+        notice.classList.remove('d-none'); // Reveal banner (read out when the modal opens)
+    } // End notice branch
+} // End restoreApplicationDraft
+
+/**
+ * Clears the form, upload metadata and stored draft, returning to step one.
+ * @param {{focus?: boolean}} [options]
+ */
+function resetApplicationWizard(options = {}) { // Reset wizard state
+    const form = document.getElementById('applicationForm'); // Wizard form
+    if (form) { // Reset values + validation styling
+        form.reset(); // Clear inputs
+        clearFormValidation(form); // Drop state classes, messages and summary
+    } // End form reset
+    applicationWizard.uploads = []; // Forget file metadata
+    renderSupportingDocs(); // Empty list
+    updateStatementWordCount(); // Reset counter
+    try { localStorage.removeItem(APPLICATION_DRAFT_KEY); } catch (err) { /* storage unavailable */ } // Remove draft
+    const notice = document.getElementById('draftNotice'); // Resume banner
+    notice && notice.classList.add('d-none'); // Hide banner
+    goToApplicationStep(0, options); // Back to first step
+} // End resetApplicationWizard
+
+/**
+ * "Start over" handler in the resume banner.
+ */
+function discardApplicationDraft() { // Discard draft on request
+    resetApplicationWizard(); // Clear everything and focus first field
+} // End discardApplicationDraft
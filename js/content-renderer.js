@@ -0,0 +1,426 @@
+/**
+ * Data-driven rendering for the programs, campuses, student life, tuition
+ * and deadline sections. Content lives in data/*.json; each source is
+ * validated against a small schema and rendered into the
+ * `[data-content="…"]` containers using the same card markup the page was
+ * originally written with (including `reveal` + `data-delay` staggering).
+ * Missing or malformed files leave the page's static markup in place (or a
+ * short notice where a section has none). Blocks flagged `localized`
+ * contain interface copy or formatted amounts and are re-rendered from the
+ * cached data when the language changes; the JSON content itself is not
+ * translated.
+ */
+const IMAGE_SCHEMA = { webp: 'string?', src: 'string', alt: 'string', label: 'string' }; // <picture> data
+const LIFE_UNIT_SCHEMA = { icon: 'string', title: 'string', text: 'string' }; // Icon + heading + copy
+
+const CONTENT_SOURCES = { // Section name → data file + blocks it feeds
+    programs: { // Schools & Programs
+        url: 'data/programs.json', // Data file
+        blocks: { // JSON key → schema + renderer
+            programs: { // Program cards
+                schema: [{ id: 'string', title: 'string', category: 'string', levels: 'string[]', icon: 'string', description: 'string', majors: 'string[]', campuses: 'string[]?', image: IMAGE_SCHEMA }], // Card list
+                render: renderProgramCard // Card builder
+            } // End programs block
+        } // End blocks
+    }, // End programs source
+    campuses: { // Our Campuses
+        url: 'data/campuses.json', // Data file
+        blocks: { // JSON key → schema + renderer
+            campuses: { // Campus cards
+                schema: [{ id: 'string', name: 'string', tag: 'string', description: 'string', facts: 'string[]', address: 'string?', image: IMAGE_SCHEMA }], // Card list
+                render: renderCampusCard, // Card builder
+                localized: true // "Plan a visit" button
+            } // End campuses block
+        } // End blocks
+    }, // End campuses source
+    'cost-aid': { // Cost & Aid (tuition table + calculator inputs)
+        url: 'data/cost-aid.json', // Data file
+        settings: { // Net price calculator inputs
+            fullTimeCredits: 'number', // Credits per semester billed at the flat rate
+            annualIncrease: 'number', // Yearly tuition + fee growth
+            fees: 'number', // Yearly campus fees
+            onCampus: { housingRate: 'string', mealRate: 'string' }, // student-life.json rate ids
+            otherCosts: { books: 'number', personal: 'number', commuterTransportation: 'number', commuterFood: 'number' }, // Non-billed costs
+            aid: { grantLevels: 'string[]', maxNeedGrant: 'number', incomeGrants: [{ maxIncome: 'number', grant: 'number' }], meritScholarship: 'number' } // Grant rules
+        }, // End settings
+        blocks: { // JSON key → schema + renderer
+            tuition: { // Tuition table rows
+                schema: [{ id: 'string', label: 'string', inState: 'number', outOfState: 'number', programYears: 'number' }], // Row list
+                render: renderTuitionRow, // Row builder
+                localized: true // Currency formatting
+            } // End tuition block
+        } // End blocks
+    }, // End cost-aid source
+    deadlines: { // Key Deadlines list
+        url: 'data/deadlines.json', // Data file
+        settings: { timeZone: 'string?', cycleStartMonth: 'number?' }, // Tracker configuration
+        blocks: { // JSON key → schema + renderer
+            deadlines: { // Deadline list items
+                schema: [{ id: 'string', title: 'string', month: 'number', day: 'number', time: 'string?', description: 'string?', reminders: 'number[]?' }], // Month/day (year resolved per cycle)
+                render: renderDeadlineItem, // Item builder
+                localized: true // Badge + button labels
+            } // End deadlines block
+        } // End blocks
+    }, // End deadlines source
+    'student-life': { // Student Life tabs
+        url: 'data/student-life.json', // Data file
+        blocks: { // JSON key → schema + renderer
+            facilities: { schema: [LIFE_UNIT_SCHEMA], render: renderLifeUnit }, // Facilities grid
+            housing: { // Housing split panel
+                schema: { icon: 'string', title: 'string', text: 'string', options: 'string[]', note: 'string?', ratesTitle: 'string', rates: [{ id: 'string', plan: 'string', cost: 'number' }], ratesNote: 'string?' }, // Single object
+                render: renderHousingPanels, // Two-panel builder
+                localized: true // Table headings + currency formatting
+            }, // End housing block
+            clubs: { schema: [LIFE_UNIT_SCHEMA], render: renderLifeUnit }, // Clubs grid
+            activities: { schema: [LIFE_UNIT_SCHEMA], render: renderLifePanel } // Activities split
+        } // End blocks
+    } // End student-life source
+}; // End CONTENT_SOURCES
+
+const contentCache = {}; // Section name → validated data (for other modules)
+const renderedContentBlocks = {}; // data-content key → value it was rendered from (for language changes)
+const validContentSettings = new Set(); // Sections whose `settings` passed validation
+
+/**
+ * Renders every configured section. Resolves once all sections have
+ * either rendered or fallen back, so dependent modules can initialise.
+ * @returns {Promise<void>}
+ */
+async function initializeDynamicContent() { // Render all data-driven sections
+    await Promise.all(Object.keys(CONTENT_SOURCES).map(loadDynamicContent)); // Load in parallel
+    document.addEventListener('localechange', refreshLocalizedContent); // Re-render interface copy
+} // End initializeDynamicContent
+
+/**
+ * Re-renders `localized` blocks and fallback notices in the active
+ * language. Registered before dependent modules initialise, so their own
+ * `localechange` handlers see the fresh markup.
+ */
+function refreshLocalizedContent() { // Language changed
+    Object.values(CONTENT_SOURCES).forEach(source => Object.entries(source.blocks).forEach(([key, block]) => { // Every block
+        const container = document.querySelector(`[data-content="${key}"]`); // Target container
+        if (!container) return; // Not on page
+        if (container.querySelector('.content-fallback')) renderContentFallback(key); // Notice copy
+        else if (block.localized && key in renderedContentBlocks) renderContentBlock(container, renderedContentBlocks[key], block.render); // Rebuild
+    })); // End blocks loop
+} // End refreshLocalizedContent
+
+/**
+ * Loads, validates and renders one section's content. Only validated
+ * values reach `contentCache`: list blocks keep their valid items, object
+ * blocks are kept when they pass, and the source's optional `settings`
+ * schema covers the remaining top-level keys (cached all-or-nothing).
+ * @param {string} section - key of CONTENT_SOURCES
+ * @returns {Promise<boolean>} whether the section rendered from data
+ */
+async function loadDynamicContent(section) { // Render one section
+    const source = CONTENT_SOURCES[section]; // Section config
+    if (!source) { // Unknown section
+        console.warn(`No content source configured for section: ${section}`); // Developer hint
+        return false; // Nothing rendered
+    } // End unknown branch
+
+    Object.keys(source.blocks).forEach(key => document.querySelector(`[data-content="${key}"]`)?.setAttribute('aria-busy', 'true')); // Loading
+    let data; // Parsed JSON
+    try { // Network + parse errors
+        data = await fetchContentData(source.url); // Load file
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected a JSON object'); // e.g. `null` or a bare list
+    } catch (err) { // Missing / malformed file
+        console.warn(`Unable to load ${source.url}`, err); // Developer hint
+        Object.keys(source.blocks).forEach(key => renderContentFallback(key)); // Fallback for every block
+        return false; // Not rendered
+    } // End try/catch
+
+    const validated = {}; // Values safe to share
+    let rendered = true; // Overall success
+    Object.entries(source.blocks).forEach(([key, block]) => { // Each block in the file
+        const container = document.querySelector(`[data-content="${key}"]`); // Target container
+        const errors = validateContentData(data[key], block.schema, key); // Schema check
+        const value = Array.isArray(block.schema) ? filterValidItems(data[key], block.schema[0], key) : data[key]; // Keep valid list items
+        if ((Array.isArray(block.schema) && !value.length) || (!Array.isArray(block.schema) && errors.length)) { // Nothing usable
+            console.warn(`Invalid content for "${key}"`, errors); // Developer hint
+            renderContentFallback(key); // Keep static markup or show notice
+            rendered = false; // Mark failure
+            return; // Next block
+        } // End invalid branch
+        if (errors.length) console.warn(`Skipped invalid "${key}" entries`, errors); // Partial data
+        validated[key] = value; // Share with other modules
+        if (!container) return; // Block not on this page
+        renderContentBlock(container, value, block.render); // Build markup
+        renderedContentBlocks[key] = value; // Remember for language changes
+    }); // End blocks loop
+
+    if (source.settings) { // Non-block top-level keys
+        const errors = validateContentData(data, source.settings, section); // Whole-file check
+        if (errors.length) console.warn(`Invalid settings in ${source.url}`, errors); // Developer hint
+        else { // Share settings
+            Object.keys(source.settings).forEach(key => { if (data[key] !== undefined) validated[key] = data[key]; }); // Copy declared keys
+            validContentSettings.add(section); // Consumers may rely on them
+        } // End valid branch
+    } // End settings branch
+
+    contentCache[section] = validated; // Share validated data with other modules
+    return rendered; // Report outcome
+} // End loadDynamicContent
+
+/**
+ * @param {string} section - key of CONTENT_SOURCES
+ * @returns {boolean} whether the section's `settings` loaded and validated
+ */
+function hasContentSettings(section) { // Settings gate for consumers
+    return validContentSettings.has(section); // Validated on load
+} // End hasContentSettings
+
+/**
+ * Fetches and parses a JSON content file.
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+async function fetchContentData(url) { // GET + parse JSON
+    const response = await fetch(url); // Request file
+    if (!response.ok) throw new Error(`HTTP ${response.status}`); // Missing file
+    return response.json(); // Parse (throws on malformed JSON)
+} // End fetchContentData
+
+/**
+ * Replaces a container's children with rendered items and applies the
+ * `data-delay` stagger declared via the container's `data-stagger`.
+ * @param {HTMLElement} container
+ * @param {Object|Object[]} value - validated block data
+ * @param {Function} render - returns an HTML string for one item (or all, for objects)
+ */
+function renderContentBlock(container, value, render) { // Insert rendered markup
+    const stagger = parseFloat(container.getAttribute('data-stagger')) || 0; // Seconds between cards
+    const items = Array.isArray(value) ? value : [value]; // Normalise to list
+    container.innerHTML = items.map((item, index) => render(item, formatRevealDelay(index * stagger))).join(''); // Build markup
+    container.removeAttribute('aria-busy'); // Content ready
+    initializeRevealAnimations(container); // Observe new .reveal elements
+} // End renderContentBlock
+
+/**
+ * @param {number} seconds
+ * @returns {string} CSS time for data-delay (e.g. "0.15s")
+ */
+function formatRevealDelay(seconds) { // Format delay value
+    return `${Math.round(seconds * 100) / 100}s`; // Avoid float noise like 0.15000000000000002
+} // End formatRevealDelay
+
+/**
+ * Handles content that failed to load: the static markup shipped in the
+ * page stays in place, and only an empty container gets a short notice.
+ * @param {string} key - data-content key
+ */
+function renderContentFallback(key) { // Graceful degradation
+    const container = document.querySelector(`[data-content="${key}"]`); // Target container
+    if (!container) return; // Not on page
+    container.removeAttribute('aria-busy'); // Nothing more to load
+    if (container.children.length && !container.querySelector('.content-fallback')) return; // Static markup still shown
+    const notice = t('content.unavailable', { // Catalog copy is trusted; links are filled in here
+        site: '<a href="https://www.rutgers.edu">rutgers.edu</a>', // Site link
+        email: '<a href="mailto:admissions@rutgers.edu">admissions@rutgers.edu</a>' // Email link
+    }); // Notice copy
+    container.innerHTML = container.tagName === 'TBODY' // Tables need a row wrapper
+        ? `<tr><td colspan="99" class="content-fallback small text-muted">${notice}</td></tr>` // Table row notice
+        : `<p class="content-fallback small text-muted">${notice}</p>`; // Paragraph notice
+} // End renderContentFallback
+
+/**
+ * Validates a value against a schema. Schemas are type strings
+ * ('string', 'number', 'string[]', with a trailing '?' for optional),
+ * nested objects, or single-element arrays describing list items.
+ * @param {*} value
+ * @param {*} schema
+ * @param {string} path - location used in error messages
+ * @returns {string[]} list of problems (empty when valid)
+ */
+function validateContentData(value, schema, path) { // Recursive schema check
+    if (typeof schema === 'string') { // Primitive / list of primitives
+        const optional = schema.endsWith('?'); // Optional marker
+        const type = schema.replace('?', ''); // Base type
+        if (value === undefined || value === null) return optional ? [] : [`${path} is missing`]; // Presence
+        if (type.endsWith('[]')) { // Array of primitives
+            const itemType = type.slice(0, -2); // Element type
+            return Array.isArray(value) && value.every(item => typeof item === itemType) ? [] : [`${path} must be a list of ${itemType}s`]; // Check elements
+        } // End array branch
+        return typeof value === type && (type !== 'string' || value.trim()) ? [] : [`${path} must be a non-empty ${type}`]; // Primitive check
+    } // End primitive branch
+    if (Array.isArray(schema)) { // List of objects
+        if (!Array.isArray(value)) return [`${path} must be a list`]; // Wrong type
+        return value.flatMap((item, i) => validateContentData(item, schema[0], `${path}[${i}]`)); // Check each item
+    } // End list branch
+    if (!value || typeof value !== 'object') return [`${path} must be an object`]; // Wrong type
+    return Object.entries(schema).flatMap(([key, sub]) => validateContentData(value[key], sub, `${path}.${key}`)); // Check properties
+} // End validateContentData
+
+/**
+ * @param {*} list
+ * @param {Object} itemSchema
+ * @param {string} path
+ * @returns {Object[]} only the list items that satisfy the schema
+ */
+function filterValidItems(list, itemSchema, path) { // Drop malformed entries
+    if (!Array.isArray(list)) return []; // Not a list
+    return list.filter((item, i) => validateContentData(item, itemSchema, `${path}[${i}]`).length === 0); // Keep valid
+} // End filterValidItems
+
+/**
+ * Escapes text for safe interpolation into HTML strings.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) { // HTML entity escaping
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch])); // Replace special chars
+} // End escapeHtml
+
+/**
+ * @param {Object} image - IMAGE_SCHEMA data
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} <picture> markup with lazy loading
+ */
+function renderPicture(image, width, height) { // Shared <picture> builder
+    return `<picture>
+        ${image.webp ? `<source srcset="${escapeHtml(image.webp)}" type="image/webp">` : ''}
+        <img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}" loading="lazy" width="${width}" height="${height}">
+    </picture>`; // Picture element
+} // End renderPicture
+
+/**
+ * @param {Object} program - programs.json entry
+ * @param {string} delay - reveal delay
+ * @returns {string} `.program-item` card markup
+ */
+function renderProgramCard(program, delay) { // Program card template
+    return `<div class="program-item surface reveal" data-delay="${delay}" data-program-id="${escapeHtml(program.id)}"
+        data-category="${escapeHtml(program.category)}" data-level="${escapeHtml(program.levels.join(' '))}"
+        data-campus="${escapeHtml((program.campuses || []).join(' '))}">
+        <figure class="program-thumb">
+            ${renderPicture(program.image, 480, 300)}
+            <figcaption class="program-thumb-label" aria-hidden="true">${escapeHtml(program.image.label)}</figcaption>
+        </figure>
+        <div class="pi-icon"><i class="bi ${escapeHtml(program.icon)}"></i></div>
+        <div class="pi-body">
+            <h3 class="pi-title">${escapeHtml(program.title)}</h3>
+            <p class="pi-text">${escapeHtml(program.description)}</p>
+            <ul class="pi-list">${program.majors.map(major => `<li>${escapeHtml(major)}</li>`).join('')}</ul>
+            <button type="button" class="btn btn-sm btn-outline-primary compare-toggle" data-action="toggle-compare"
+                data-program-id="${escapeHtml(program.id)}" aria-pressed="false">
+                <i class="bi bi-plus-lg" aria-hidden="true"></i> <span class="compare-toggle-label">${escapeHtml(t('compare.add'))}</span>
+                <span class="visually-hidden">${escapeHtml(program.title)}</span>
+            </button>
+        </div>
+    </div>`; // Card markup
+} // End renderProgramCard
+
+/**
+ * @param {Object} campus - campuses.json entry
+ * @param {string} delay - reveal delay
+ * @returns {string} `.campus-item` card markup
+ */
+function renderCampusCard(campus, delay) { // Campus card template
+    return `<div class="campus-item surface reveal d-flex flex-column flex-md-row align-items-stretch" data-delay="${delay}"
+        data-campus-id="${escapeHtml(campus.id)}">
+        <figure class="campus-photo mb-3 mb-md-0 me-md-4">
+            ${renderPicture(campus.image, 640, 360)}
+            <figcaption class="visually-hidden">${escapeHtml(campus.image.label)}</figcaption>
+        </figure>
+        <div class="ci-body">
+            <div class="ci-header d-flex align-items-center justify-content-between">
+                <h3 class="ci-title">${escapeHtml(campus.name)} <span class="ci-tag">${escapeHtml(campus.tag)}</span></h3>
+            </div>
+            <p class="ci-text">${escapeHtml(campus.description)}</p>
+            <ul class="ci-facts">${campus.facts.map(fact => `<li>${escapeHtml(fact)}</li>`).join('')}</ul>
+            <button type="button" class="btn btn-sm btn-outline-primary visit-book-btn" data-action="book-visit"
+                data-campus-id="${escapeHtml(campus.id)}" hidden>
+                <i class="bi bi-calendar-check me-1" aria-hidden="true"></i>${escapeHtml(t('visit.book'))}
+                <span class="visually-hidden">${escapeHtml(campus.name)}</span>
+            </button>
+        </div>
+    </div>`; // Card markup
+} // End renderCampusCard
+
+/**
+ * @param {Object} unit - icon/title/text entry
+ * @param {string} delay - reveal delay
+ * @returns {string} `.life-unit` markup (facilities, clubs)
+ */
+function renderLifeUnit(unit, delay) { // Life grid tile template
+    return `<div class="life-unit surface reveal" data-delay="${delay}">
+        <h5><i class="bi ${escapeHtml(unit.icon)} me-2 text-primary"></i>${escapeHtml(unit.title)}</h5>
+        <p>${escapeHtml(unit.text)}</p>
+    </div>`; // Tile markup
+} // End renderLifeUnit
+
+/**
+ * @param {Object} unit - icon/title/text entry
+ * @param {string} delay - reveal delay
+ * @returns {string} `.life-panel` markup (activities)
+ */
+function renderLifePanel(unit, delay) { // Life split panel template
+    return `<div class="life-panel surface reveal" data-delay="${delay}">
+        <h5><i class="bi ${escapeHtml(unit.icon)} me-2 text-primary"></i>${escapeHtml(unit.title)}</h5>
+        <p>${escapeHtml(unit.text)}</p>
+    </div>`; // Panel markup
+} // End renderLifePanel
+
+/**
+ * @param {Object} housing - housing block
+ * @returns {string} the two housing panels (options + sample rates table)
+ */
+function renderHousingPanels(housing) { // Housing panels template
+    return `<div class="life-panel surface">
+        <h5><i class="bi ${escapeHtml(housing.icon)} me-2 text-primary"></i>${escapeHtml(housing.title)}</h5>
+        <p>${escapeHtml(housing.text)}</p>
+        <ul class="life-bullets">${housing.options.map(option => `<li>${escapeHtml(option)}</li>`).join('')}</ul>
+        ${housing.note ? `<p class="note">${escapeHtml(housing.note)}</p>` : ''}
+    </div>
+    <div class="life-panel surface">
+        <h6 class="mb-3">${escapeHtml(housing.ratesTitle)}</h6>
+        <table class="table table-sm small align-middle mb-2">
+            <thead class="table-light"><tr><th>${escapeHtml(t('content.housingPlan'))}</th><th>${escapeHtml(t('content.housingCost'))}</th></tr></thead>
+            <tbody>${housing.rates.map(rate => `<tr><td>${escapeHtml(rate.plan)}</td><td>${formatCurrency(rate.cost)}</td></tr>`).join('')}</tbody>
+        </table>
+        ${housing.ratesNote ? `<p class="text-muted small mb-0">${escapeHtml(housing.ratesNote)}</p>` : ''}
+    </div>`; // Panels markup
+} // End renderHousingPanels
+
+/**
+ * @param {Object} row - cost-aid.json tuition entry
+ * @returns {string} tuition table row markup
+ */
+function renderTuitionRow(row) { // Tuition table row template
+    return `<tr data-tuition-level="${escapeHtml(row.id)}">
+        <td>${escapeHtml(row.label)}</td>
+        <td>${formatCurrency(row.inState)}</td>
+        <td>${formatCurrency(row.outOfState)}</td>
+    </tr>`; // Row markup
+} // End renderTuitionRow
+
+/**
+ * Static part of a deadline entry; the year, countdown and calendar button
+ * are filled in by the deadline tracker once the cycle is resolved.
+ * @param {Object} deadline - deadlines.json entry
+ * @returns {string} list item markup
+ */
+function renderDeadlineItem(deadline) { // Deadline list item template
+    return `<li class="deadline-item" data-deadline-id="${escapeHtml(deadline.id)}">
+        <div class="d-flex justify-content-between align-items-start gap-2">
+            <div>
+                <strong><time class="deadline-date"></time>:</strong> ${escapeHtml(deadline.title)}
+                <span class="badge bg-primary deadline-next-badge ms-1" hidden>${escapeHtml(t('deadlines.nextUp'))}</span>
+                <div class="deadline-countdown text-muted"></div>
+            </div>
+            <button type="button" class="btn btn-sm btn-link p-0 deadline-ics" data-action="download-deadline"
+                data-deadline-id="${escapeHtml(deadline.id)}" aria-label="${escapeHtml(t('deadlines.addItemToCalendar', { title: deadline.title }))}"
+                title="${escapeHtml(t('deadlines.addToCalendar'))}"><i class="bi bi-calendar-plus" aria-hidden="true"></i></button>
+        </div>
+    </li>`; // Item markup
+} // End renderDeadlineItem
+
+/**
+ * @param {number} amount - whole US dollars
+ * @returns {string} e.g. "$10,500" (grouping follows the active locale)
+ */
+function formatCurrency(amount) { // Currency formatting
+    return new Intl.NumberFormat(getIntlLocale(), { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(amount); // USD, no cents
+} // End formatCurrency
@@ -0,0 +1,269 @@
+/**
+ * Net price calculator for #cost-aid. Estimates a yearly cost of
+ * attendance from program level, residency, housing and credit load, then
+ * subtracts need-based grants (from household income or a known EFC/SAI)
+ * and a merit scholarship to show what a family might actually pay. Rates
+ * come from data/cost-aid.json (the same file that renders the tuition
+ * table) and on-campus housing / meals from data/student-life.json, so the
+ * figures on the page never disagree.
+ */
+const costCalculatorState = { // Loaded rates + latest result
+    data: null, // Validated cost-aid.json contents (tuition = rendered rows)
+    rates: {}, // Housing/meal rate id → yearly cost
+    estimate: null // Last computed estimate (for print / copy)
+}; // End costCalculatorState
+
+/**
+ * Reads the cached content, fills the level select and binds live
+ * recalculation plus the print / copy actions.
+ */
+function initializeCostCalculator() { // Setup net price calculator
+    const form = document.getElementById('costCalculatorForm'); // Calculator form
+    if (!form) return; // Markup missing
+
+    const tuition = renderedContentBlocks.tuition || []; // Same rows as the tuition table
+    if (!hasContentSettings('cost-aid') || !tuition.length) { // Missing or invalid cost-aid.json
+        form.closest('.cost-calculator').hidden = true; // Hide rather than show wrong numbers
+        return; // Abort setup
+    } // End data guard
+
+    costCalculatorState.data = { ...contentCache['cost-aid'], tuition }; // Validated fees & aid rules
+    const housing = contentCache['student-life'] && contentCache['student-life'].housing; // Validated housing panel data
+    costCalculatorState.rates = housing ? Object.fromEntries(housing.rates.map(rate => [rate.id, rate.cost])) : {}; // Index rates by id
+
+    populateCostLevels(); // Level options from tuition rows
+    if (!hasOnCampusRates()) { // Housing data failed to load
+        const onCampus = document.getElementById('costHousingOn'); // On-campus radio
+        onCampus.disabled = true; // Can't price it
+        document.getElementById('costHousingCommuter').checked = true; // Fall back to commuter
+    } // End housing guard
+
+    const recalculate = debounce(updateCostEstimate, 150); // Avoid recomputing per keystroke
+    form.addEventListener('input', recalculate); // Text / number inputs
+    form.addEventListener('change', recalculate); // Selects / radios
+    form.addEventListener('submit', e => { e.preventDefault(); updateCostEstimate(); }); // Enter key
+
+    document.getElementById('costPrintBtn').addEventListener('click', printCostEstimate); // Print action
+    document.getElementById('costCopyBtn').addEventListener('click', copyCostEstimate); // Copy action
+    document.addEventListener('localechange', () => { // Labels + currency follow the language
+        if (costCalculatorState.estimate) document.getElementById('costEstimate').innerHTML = renderCostEstimate(costCalculatorState.estimate); // Repaint last estimate
+    }); // End localechange listener
+
+    updateCostEstimate(); // Initial estimate with defaults
+} // End initializeCostCalculator
+
+/**
+ * Fills the program level select from the tuition data.
+ */
+function populateCostLevels() { // Build level options
+    const select = document.getElementById('costLevel'); // Level select
+    select.innerHTML = costCalculatorState.data.tuition // One option per tuition row
+        .map(row => `<option value="${escapeHtml(row.id)}">${escapeHtml(row.label)}</option>`) // Option markup
+        .join(''); // Concatenate
+} // End populateCostLevels
+
+/**
+ * @returns {boolean} whether both on-campus rates referenced by cost-aid.json exist
+ */
+function hasOnCampusRates() { // Housing + meals available
+    const { housingRate, mealRate } = costCalculatorState.data.onCampus; // Referenced rate ids
+    return housingRate in costCalculatorState.rates && mealRate in costCalculatorState.rates; // Both present
+} // End hasOnCampusRates
+
+/**
+ * @returns {{level: string, residency: string, housing: string, credits: number, income: ?number, efc: ?number}}
+ */
+function readCostInputs() { // Snapshot of calculator inputs
+    const optionalNumber = id => { // Empty → null
+        const value = document.getElementById(id).value.trim(); // Raw value
+        return value === '' ? null : Number(value); // Parse when present
+    }; // End optionalNumber
+    return { // Inputs object
+        level: document.getElementById('costLevel').value, // Tuition row id
+        residency: document.querySelector('input[name="costResidency"]:checked').value, // inState / outOfState
+        housing: document.querySelector('input[name="costHousing"]:checked').value, // onCampus / commuter
+        credits: Number(document.getElementById('costCredits').value), // Credits per semester
+        income: optionalNumber('costIncome'), // Household income
+        efc: optionalNumber('costEfc') // EFC / SAI
+    }; // End inputs
+} // End readCostInputs
+
+/**
+ * Pure cost model. Part-time loads (below `fullTimeCredits`) pay tuition
+ * and fees per credit; full-time loads pay the flat rate. Tuition and fees
+ * grow by `annualIncrease` each year of the program; grants are held flat.
+ * @param {Object} data - cost-aid.json contents
+ * @param {Object<string, number>} rates - housing/meal rates by id
+ * @param {ReturnType<typeof readCostInputs>} inputs
+ * @returns {Object} itemised estimate
+ */
+function calculateCostOfAttendance(data, rates, inputs) { // Build estimate
+    const program = data.tuition.find(row => row.id === inputs.level) || data.tuition[0]; // Selected level
+    const load = Math.min(inputs.credits / data.fullTimeCredits, 1); // Part-time proration
+    const other = data.otherCosts; // Books, personal, commuting
+    const onCampus = inputs.housing === 'onCampus'; // Living on campus?
+
+    const items = [ // Yearly cost lines (labels: calculator.items.<id>)
+        { id: 'tuition', amount: Math.round(program[inputs.residency] * load), grows: true }, // Tuition
+        { id: 'fees', amount: Math.round(data.fees * load), grows: true }, // Campus fees
+        onCampus // Housing line
+            ? { id: 'housing', amount: rates[data.onCampus.housingRate] } // Residence hall
+            : { id: 'transportation', amount: other.commuterTransportation }, // Commuting
+        onCampus // Food line
+            ? { id: 'meals', amount: rates[data.onCampus.mealRate] } // Dining plan
+            : { id: 'food', amount: other.commuterFood }, // Groceries at home
+        { id: 'books', amount: other.books }, // Course materials
+        { id: 'personal', amount: other.personal } // Everything else
+    ]; // End items
+    const total = items.reduce((sum, item) => sum + item.amount, 0); // Yearly cost of attendance
+
+    const eligible = data.aid.grantLevels.includes(program.id); // Grants only modelled for some levels
+    const grant = eligible ? estimateNeedGrant(data.aid, total, inputs) : 0; // Need-based grant
+    const merit = eligible ? Math.min(data.aid.meritScholarship, total - grant) : 0; // Merit scholarship (never below zero net)
+
+    const growth = year => Math.pow(1 + data.annualIncrease, year); // Compounded increase factor
+    const yearTotals = Array.from({ length: program.programYears }, (_, year) => // Cost per program year
+        items.reduce((sum, item) => sum + (item.grows ? Math.round(item.amount * growth(year)) : item.amount), 0)); // Grow tuition & fees
+    const programTotal = yearTotals.reduce((sum, value) => sum + value, 0); // Whole program sticker price
+    const years = program.programYears; // Program length
+
+    return { // Estimate
+        program, inputs, items, total, grant, merit, eligible, years, // Inputs + yearly figures
+        scenarios: [ // Sticker vs net comparison (labels: calculator.scenarios.<id>)
+            { id: 'sticker', yearly: total, program: programTotal }, // No aid
+            { id: 'grants', yearly: total - grant, program: programTotal - grant * years }, // Grants only
+            { id: 'all', yearly: total - grant - merit, program: programTotal - (grant + merit) * years } // All aid
+        ] // End scenarios
+    }; // End estimate
+} // End calculateCostOfAttendance
+
+/**
+ * Need-based grant estimate. With a known EFC/SAI, need is the cost of
+ * attendance minus that contribution (capped at `maxNeedGrant`); otherwise
+ * the household income bracket decides. No income and no EFC → no grant.
+ * @param {Object} aid - cost-aid.json `aid` block
+ * @param {number} total - yearly cost of attendance
+ * @param {ReturnType<typeof readCostInputs>} inputs
+ * @returns {number}
+ */
+function estimateNeedGrant(aid, total, inputs) { // Grant estimate
+    if (inputs.efc !== null) return Math.min(Math.max(total - Math.max(inputs.efc, 0), 0), aid.maxNeedGrant); // Need = COA − EFC
+    if (inputs.income === null) return 0; // Nothing to estimate from
+    const bracket = aid.incomeGrants.find(tier => inputs.income <= tier.maxIncome); // First matching income tier
+    return bracket ? Math.min(bracket.grant, total) : 0; // Above all tiers → no grant
+} // End estimateNeedGrant
+
+/**
+ * Validates the inputs and re-renders the estimate. Invalid input keeps
+ * the previous estimate on screen (dimmed) rather than showing nonsense.
+ */
+function updateCostEstimate() { // Recalculate + render
+    const form = document.getElementById('costCalculatorForm'); // Calculator form
+    const output = document.getElementById('costEstimate'); // Result container
+    if (!validateForm(form, { summary: false })) { // Field messages only; no focus jump while typing
+        output.classList.add('is-stale'); // Signal outdated figures
+        return; // Keep last estimate
+    } // End validation guard
+
+    const estimate = calculateCostOfAttendance(costCalculatorState.data, costCalculatorState.rates, readCostInputs()); // Compute
+    const previous = costCalculatorState.estimate; // Last painted estimate
+    costCalculatorState.estimate = estimate; // Remember for print / copy
+    output.classList.remove('is-stale'); // Fresh figures
+    output.innerHTML = renderCostEstimate(estimate); // Paint
+    const net = estimate.scenarios[2].yearly; // Headline figure
+    if (previous && previous.scenarios[2].yearly !== net) announce(`${t('calculator.netPrice')}: ${formatCurrency(net)}`); // Read out changes, not the whole table
+} // End updateCostEstimate
+
+/**
+ * @param {ReturnType<typeof calculateCostOfAttendance>} estimate
+ * @returns {string} itemised breakdown + scenario table markup
+ */
+function renderCostEstimate(estimate) { // Estimate template
+    const label = key => escapeHtml(t(key)); // Catalog copy for markup
+    const aidNote = estimate.eligible // Explain the aid figures
+        ? (estimate.inputs.income === null && estimate.inputs.efc === null // No financial info yet
+            ? 'calculator.aidPrompt' // Prompt
+            : '') // Nothing to add
+        : 'calculator.aidUndergradOnly'; // Non-undergrad note
+    return `<h6 class="fw-bold mb-1">${label('calculator.estimateTitle')}</h6>
+        <p class="text-muted small mb-2">${escapeHtml(formatCostAssumptions(estimate).join(' · '))}</p>
+        <table class="table table-sm cost-breakdown mb-3">
+            <tbody>
+                ${estimate.items.map(item => `<tr><th scope="row">${label(`calculator.items.${item.id}`)}</th><td>${formatCurrency(item.amount)}</td></tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr><th scope="row">${label('calculator.costOfAttendance')}</th><td>${formatCurrency(estimate.total)}</td></tr>
+                <tr class="cost-aid-line"><th scope="row">${label('calculator.needGrants')}</th><td>−${formatCurrency(estimate.grant)}</td></tr>
+                <tr class="cost-aid-line"><th scope="row">${label('calculator.merit')}</th><td>−${formatCurrency(estimate.merit)}</td></tr>
+                <tr class="cost-net"><th scope="row">${label('calculator.netPrice')}</th><td>${formatCurrency(estimate.scenarios[2].yearly)}</td></tr>
+            </tfoot>
+        </table>
+        ${aidNote ? `<p class="small text-muted">${label(aidNote)}</p>` : ''}
+        <table class="table table-sm cost-scenarios mb-0">
+            <caption class="small">${escapeHtml(t('calculator.scenariosCaption', { years: estimate.years, increase: Math.round(costCalculatorState.data.annualIncrease * 100) }))}</caption>
+            <thead><tr><th scope="col">${label('calculator.scenario')}</th><th scope="col">${label('calculator.perYear')}</th><th scope="col">${escapeHtml(t('calculator.yearTotal', { years: estimate.years }))}</th></tr></thead>
+            <tbody>
+                ${estimate.scenarios.map(row => `<tr><th scope="row">${label(`calculator.scenarios.${row.id}`)}</th><td>${formatCurrency(row.yearly)}</td><td>${formatCurrency(row.program)}</td></tr>`).join('')}
+            </tbody>
+        </table>`; // Estimate markup
+} // End renderCostEstimate
+
+/**
+ * @param {ReturnType<typeof calculateCostOfAttendance>} estimate
+ * @returns {string[]} level, residency, housing and credit load labels
+ */
+function formatCostAssumptions(estimate) { // Inputs behind an estimate
+    return [ // Assumption labels
+        estimate.program.label, // Program level (from data)
+        t(estimate.inputs.residency === 'inState' ? 'calculator.residencyIn' : 'calculator.residencyOut'), // Residency
+        t(estimate.inputs.housing === 'onCampus' ? 'calculator.onCampus' : 'calculator.commuter'), // Housing
+        t('calculator.creditLoad', { count: estimate.inputs.credits }) // Credits per semester
+    ]; // End labels
+} // End formatCostAssumptions
+
+/**
+ * @param {ReturnType<typeof calculateCostOfAttendance>} estimate
+ * @returns {string} plain-text breakdown for the clipboard
+ */
+function formatCostSummary(estimate) { // Plain-text summary
+    const line = (key, amount) => `${t(key)}: ${formatCurrency(amount)}`; // "Label: $1,234"
+    const [program, ...assumptions] = formatCostAssumptions(estimate); // Heading + inputs
+    return [ // Lines
+        t('calculator.summaryTitle', { program }), // Heading
+        assumptions.join(', '), // Assumptions
+        '', // Spacer
+        ...estimate.items.map(item => line(`calculator.items.${item.id}`, item.amount)), // Cost lines
+        line('calculator.costOfAttendance', estimate.total), // Total
+        line('calculator.needGrants', -estimate.grant), // Grant
+        line('calculator.merit', -estimate.merit), // Merit
+        line('calculator.netPrice', estimate.scenarios[2].yearly), // Net
+        '', // Spacer
+        ...estimate.scenarios.map(row => t('calculator.summaryScenario', { // Scenarios
+            label: t(`calculator.scenarios.${row.id}`), yearly: formatCurrency(row.yearly), total: formatCurrency(row.program), years: estimate.years // Row values
+        })), // End scenarios
+        '', // Spacer
+        t('calculator.summaryDisclaimer') // Disclaimer
+    ].join('\n'); // Join lines
+} // End formatCostSummary
+
+/**
+ * Prints only the estimate: a body class switches the print stylesheet to
+ * hide everything else until the dialog closes.
+ */
+function printCostEstimate() { // Print breakdown
+    if (!costCalculatorState.estimate) return; // Nothing to print
+    document.body.classList.add('printing-cost-estimate'); // Scope print styles
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-cost-estimate'), { once: true }); // Restore after dialog
+    window.print(); // Open print dialog
+} // End printCostEstimate
+
+/**
+ * Copies the plain-text breakdown and confirms with a toast.
+ */
+async function copyCostEstimate() { // Copy breakdown
+    if (!costCalculatorState.estimate) return; // Nothing to copy
+    const copied = await copyTextToClipboard(formatCostSummary(costCalculatorState.estimate)); // Clipboard helper (script.js)
+    showSuccessMessage(t(copied // Outcome-specific copy
+        ? 'calculator.copied' // Confirmation
+        : 'calculator.copyFailed'), copied ? 'success' : 'error'); // Failure
+} // End copyCostEstimate
@@ -0,0 +1,306 @@
+/**
+ * Deadline tracker for the "Key Deadlines" card in #cost-aid. Deadlines in
+ * data/deadlines.json carry only a month/day (and time of day in the
+ * admissions office's time zone); the tracker resolves them into the
+ * current admissions cycle, shows a live countdown for each, highlights
+ * the next one and exports iCalendar (.ics) files with reminder alarms.
+ *
+ * A cycle is named after its fall entry year: months on or after
+ * `cycleStartMonth` belong to the preceding calendar year (Nov 1, 2026 is
+ * part of the Fall 2027 cycle). Once the last deadline of a cycle passes,
+ * every date rolls over to the next cycle.
+ */
+const DEADLINE_URGENT_DAYS = 7; // Countdown turns urgent inside this window
+const DEADLINE_TICK_MS = 1000; // Countdown refresh interval
+
+const deadlineTrackerState = { // Loaded config + resolved cycle
+    timeZone: 'America/New_York', // Zone deadline times are expressed in
+    cycleStartMonth: 8, // First month (1–12) of a cycle
+    deadlines: [], // Validated deadlines.json entries
+    cycle: null, // Latest resolveDeadlineCycle() result
+    timer: null // Countdown interval id
+}; // End deadlineTrackerState
+
+/**
+ * Reads the cached deadline data, starts the countdown and binds the
+ * calendar export buttons.
+ */
+function initializeDeadlineTracker() { // Setup deadline tracker
+    const list = document.querySelector('[data-content="deadlines"]'); // Rendered list
+    const data = contentCache.deadlines; // Validated deadlines.json contents
+    if (!list || !data) return; // Markup or data missing (static fallback left in place)
+
+    deadlineTrackerState.deadlines = data.deadlines || []; // Valid entries only
+    if (isValidTimeZone(data.timeZone)) deadlineTrackerState.timeZone = data.timeZone; // Office time zone
+    else if (data.timeZone !== undefined) console.warn(`Unknown time zone "${data.timeZone}" in deadlines.json, using ${deadlineTrackerState.timeZone}`); // Developer hint
+    if (Number.isInteger(data.cycleStartMonth)) deadlineTrackerState.cycleStartMonth = data.cycleStartMonth; // Cycle boundary
+    if (!deadlineTrackerState.deadlines.length) return; // Nothing to track
+
+    list.addEventListener('click', e => { // Delegated per-deadline export
+        const button = e.target.closest('[data-action="download-deadline"]'); // Calendar button
+        if (button) downloadDeadlineCalendar([button.dataset.deadlineId]); // Single event file
+    }); // End click handler
+
+    const exportAll = document.getElementById('deadlineExportAll'); // "Add all" button
+    if (exportAll) { // Bind when present
+        exportAll.hidden = false; // Only useful once data loaded
+        exportAll.addEventListener('click', () => downloadDeadlineCalendar()); // All upcoming deadlines
+    } // End export-all binding
+
+    updateDeadlineTracker(); // First paint
+    deadlineTrackerState.timer = setInterval(updateDeadlineTracker, DEADLINE_TICK_MS); // Live countdown
+    document.addEventListener('localechange', () => { // Dates + countdowns follow the language
+        deadlineTrackerState.cycle = null; // Force a full repaint of dates and caption
+        updateDeadlineTracker(); // Repaint now rather than on the next tick
+    }); // End localechange listener
+} // End initializeDeadlineTracker
+
+/**
+ * Resolves every deadline to a concrete instant for the active cycle: the
+ * earliest cycle whose final deadline has not yet passed.
+ * @param {Date} [now]
+ * @returns {{entryYear: number, deadlines: Array<Object>}} deadlines sorted by due date, each with `due` (Date) and `year`
+ */
+function resolveDeadlineCycle(now = new Date()) { // Pick cycle + dates
+    const { cycleStartMonth, timeZone } = deadlineTrackerState; // Config
+    const today = getZonedDateParts(now, timeZone); // Office-local calendar date
+    let entryYear = today.month >= cycleStartMonth ? today.year + 1 : today.year; // Cycle containing today
+
+    const resolve = year => deadlineTrackerState.deadlines // Dates for one cycle
+        .map(deadline => { // Each deadline
+            const calendarYear = deadline.month >= cycleStartMonth ? year - 1 : year; // Autumn dates precede entry year
+            return { ...deadline, year: calendarYear, due: zonedTimeToDate(calendarYear, deadline.month, deadline.day, deadline.time, timeZone) }; // Resolved entry
+        }) // End map
+        .sort((a, b) => a.due - b.due); // Chronological
+
+    let deadlines = resolve(entryYear); // Current cycle
+    if (deadlines[deadlines.length - 1].due <= now) deadlines = resolve(++entryYear); // Cycle finished → roll over
+    return { entryYear, deadlines }; // Resolved cycle
+} // End resolveDeadlineCycle
+
+/**
+ * Refreshes dates (when the cycle changes), countdowns and the "next up"
+ * highlight. Runs every second.
+ */
+function updateDeadlineTracker() { // Countdown tick
+    const now = new Date(); // Single timestamp per tick
+    const cycle = resolveDeadlineCycle(now); // Active cycle
+    const cycleChanged = !deadlineTrackerState.cycle || deadlineTrackerState.cycle.entryYear !== cycle.entryYear; // Rolled over?
+    deadlineTrackerState.cycle = cycle; // Remember for exports
+    if (cycleChanged) renderDeadlineCycle(cycle); // Dates + order only change per cycle
+
+    const next = cycle.deadlines.find(deadline => deadline.due > now); // First upcoming deadline
+    cycle.deadlines.forEach(deadline => { // Update each list item
+        const item = document.querySelector(`.deadline-item[data-deadline-id="${deadline.id}"]`); // List item
+        if (!item) return; // Not rendered
+        const remaining = deadline.due - now; // Milliseconds left
+        const passed = remaining <= 0; // Deadline over
+        const isNext = deadline === next; // Highlighted entry
+        item.classList.toggle('is-passed', passed); // Muted styling
+        item.classList.toggle('is-next', isNext); // Highlight
+        item.classList.toggle('is-urgent', !passed && remaining < DEADLINE_URGENT_DAYS * 86400000); // Closing soon
+        item.querySelector('.deadline-next-badge').hidden = !isNext; // "Next up" badge
+        item.querySelector('.deadline-countdown').textContent = passed ? t('deadlines.passed') : t('deadlines.left', { time: formatCountdown(remaining) }); // Countdown copy
+        const button = item.querySelector('[data-action="download-deadline"]'); // Calendar button
+        button.disabled = passed; // No point exporting past dates
+    }); // End items loop
+} // End updateDeadlineTracker
+
+/**
+ * Writes the resolved dates into the list, reorders items chronologically
+ * and labels the cycle.
+ * @param {ReturnType<typeof resolveDeadlineCycle>} cycle
+ */
+function renderDeadlineCycle(cycle) { // Paint cycle dates
+    const list = document.querySelector('[data-content="deadlines"]'); // Rendered list
+    cycle.deadlines.forEach(deadline => { // Each deadline
+        const item = list.querySelector(`.deadline-item[data-deadline-id="${deadline.id}"]`); // List item
+        if (!item) return; // Not rendered
+        const time = item.querySelector('.deadline-date'); // <time> element
+        time.dateTime = `${deadline.year}-${String(deadline.month).padStart(2, '0')}-${String(deadline.day).padStart(2, '0')}`; // Machine-readable date
+        time.textContent = deadline.due.toLocaleDateString(getIntlLocale(), { month: 'short', day: 'numeric', year: 'numeric', timeZone: deadlineTrackerState.timeZone }); // e.g. "Nov 1, 2026"
+        time.title = t('deadlines.dueBy', { time: formatDeadlineTime(deadline) }); // Exact cut-off on hover
+        list.appendChild(item); // Move into chronological position
+    }); // End items loop
+    const label = document.getElementById('deadlineCycle'); // Cycle caption
+    if (label) label.textContent = t('deadlines.cycle', { year: cycle.entryYear }); // Caption copy
+} // End renderDeadlineCycle
+
+/**
+ * @param {Object} deadline - resolved deadline
+ * @param {string} [locale] - Intl locale, defaults to the page language
+ * @returns {string} cut-off time in the office zone, e.g. "11:59 PM EST"
+ */
+function formatDeadlineTime(deadline, locale = getIntlLocale()) { // Due time label
+    return deadline.due.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone: deadlineTrackerState.timeZone, timeZoneName: 'short' }); // Localised time
+} // End formatDeadlineTime
+
+/**
+ * @param {number} ms - time remaining (positive)
+ * @returns {string} "23 days, 4 hours" or, inside a day, "04:12:09"
+ */
+function formatCountdown(ms) { // Human countdown
+    const totalSeconds = Math.floor(ms / 1000); // Whole seconds
+    const days = Math.floor(totalSeconds / 86400); // Whole days
+    const hours = Math.floor(totalSeconds % 86400 / 3600); // Remaining hours
+    if (days > 0) return `${t('deadlines.days', { count: days })}, ${t('deadlines.hours', { count: hours })}`; // Coarse format
+    const pad = value => String(value).padStart(2, '0'); // Two-digit clock segment
+    return `${pad(hours)}:${pad(Math.floor(totalSeconds % 3600 / 60))}:${pad(totalSeconds % 60)}`; // Clock format
+} // End formatCountdown
+
+/**
+ * @param {*} timeZone
+ * @returns {boolean} whether Intl accepts the value as an IANA time zone
+ */
+function isValidTimeZone(timeZone) { // Zone check before first use
+    if (typeof timeZone !== 'string' || !timeZone) return false; // Not a zone name
+    try { // Unknown zones throw RangeError
+        new Intl.DateTimeFormat('en-US', { timeZone }); // Probe
+        return true; // Supported
+    } catch (err) { // e.g. "Eastern"
+        return false; // Unsupported
+    } // End try/catch
+} // End isValidTimeZone
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} wall-clock parts in the zone
+ */
+function getZonedDateParts(date, timeZone) { // Wall-clock time in a zone
+    const parts = new Intl.DateTimeFormat('en-US', { // Numeric parts formatter
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' // All fields
+    }).formatToParts(date); // Split output
+    const value = type => Number(parts.find(part => part.type === type).value); // Part lookup
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') }; // Parts object
+} // End getZonedDateParts
+
+/**
+ * Converts a wall-clock time in `timeZone` to an absolute Date, without a
+ * time zone library: guess the instant as if the zone were UTC, measure
+ * the zone's offset at that instant and correct (twice, to settle DST
+ * transitions).
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} day
+ * @param {string} [time] - "HH:MM", defaults to end of day
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, time, timeZone) { // Wall clock → instant
+    const [hour, minute] = (time || '23:59').split(':').map(Number); // Time of day
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute); // Wall clock read as UTC
+    let instant = wallClock; // First guess
+    try { // Unknown zones throw RangeError
+        for (let i = 0; i < 2; i++) { // Two passes settle DST edges
+            const parts = getZonedDateParts(new Date(instant), timeZone); // Zone wall clock at guess
+            const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant; // Zone offset
+            instant = wallClock - offset; // Correct guess
+        } // End passes
+    } catch (err) { // Fall back to the visitor's local time
+        console.warn(`Unknown time zone "${timeZone}", using local time`, err); // Developer hint
+        return new Date(year, month - 1, day, hour, minute); // Local interpretation
+    } // End try/catch
+    return new Date(instant); // Absolute instant
+} // End zonedTimeToDate
+
+/**
+ * Downloads an .ics file for the given deadlines (all upcoming ones when
+ * no ids are passed).
+ * @param {string[]} [ids]
+ */
+function downloadDeadlineCalendar(ids) { // Export .ics
+    const now = new Date(); // Export timestamp
+    const cycle = deadlineTrackerState.cycle || resolveDeadlineCycle(now); // Active cycle
+    const deadlines = cycle.deadlines.filter(deadline => deadline.due > now && (!ids || ids.includes(deadline.id))); // Upcoming selection
+    if (!deadlines.length) return; // Nothing to export
+
+    const calendar = buildDeadlineCalendar(deadlines, now); // iCalendar text
+    const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' }); // File payload
+    const link = document.createElement('a'); // Temporary download link
+    link.href = URL.createObjectURL(blob); // Object URL
+    link.download = deadlines.length === 1 ? `rutgers-${deadlines[0].id}.ics` : `rutgers-deadlines-fall-${cycle.entryYear}.ics`; // File name
+    document.body.appendChild(link); // Firefox needs it attached
+    link.click(); // Trigger download
+    link.remove(); // Clean up element
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // Release blob after the click is handled
+    trackEvent('deadline_calendar_export', deadlines.map(deadline => deadline.id).join(',')); // Analytics
+} // End downloadDeadlineCalendar
+
+/**
+ * Builds an RFC 5545 calendar with one all-day event per deadline and a
+ * DISPLAY alarm for each entry in `reminders` (days before).
+ * @param {Array<Object>} deadlines - resolved deadlines
+ * @param {Date} [now] - DTSTAMP
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+function buildDeadlineCalendar(deadlines, now = new Date()) { // iCalendar builder
+    const stamp = formatIcsDateTime(now); // 20261019T120000Z
+    const lines = [ // Calendar header
+        'BEGIN:VCALENDAR', // Start calendar
+        'VERSION:2.0', // iCalendar version
+        'PRODID:-//Rutgers University//Admissions Deadlines//EN', // Producer id
+        'CALSCALE:GREGORIAN', // Calendar system
+        'METHOD:PUBLISH' // Informational (not an invitation)
+    ]; // End header
+    deadlines.forEach(deadline => { // One VEVENT per deadline
+        const start = formatIcsDate(deadline.year, deadline.month, deadline.day); // All-day start
+        const endDate = new Date(Date.UTC(deadline.year, deadline.month - 1, deadline.day + 1)); // Exclusive end (next day)
+        lines.push( // Event lines
+            'BEGIN:VEVENT', // Start event
+            `UID:${deadline.id}-${deadline.year}@admissions.rutgers.edu`, // Stable id so re-imports update
+            `DTSTAMP:${stamp}`, // Creation time
+            `DTSTART;VALUE=DATE:${start}`, // All-day date
+            `DTEND;VALUE=DATE:${formatIcsDate(endDate.getUTCFullYear(), endDate.getUTCMonth() + 1, endDate.getUTCDate())}`, // Next day
+            `SUMMARY:${escapeIcsText(`Rutgers: ${deadline.title}`)}`, // Title
+            `DESCRIPTION:${escapeIcsText(`${deadline.description || deadline.title} Due by ${formatDeadlineTime(deadline, 'en-US')}.`)}`, // Details (calendar files stay English)
+            'TRANSP:TRANSPARENT' // Don't block time
+        ); // End event lines
+        (deadline.reminders || []).forEach(days => lines.push( // One alarm per reminder
+            'BEGIN:VALARM', // Start alarm
+            'ACTION:DISPLAY', // Notification
+            `DESCRIPTION:${escapeIcsText(`${deadline.title} in ${days} ${days === 1 ? 'day' : 'days'}`)}`, // Alarm text
+            `TRIGGER:-P${days}D`, // Days before start
+            'END:VALARM' // End alarm
+        )); // End alarms
+        lines.push('END:VEVENT'); // End event
+    }); // End events loop
+    lines.push('END:VCALENDAR'); // End calendar
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n'; // RFC 5545 line endings
+} // End buildDeadlineCalendar
+
+/**
+ * @returns {string} YYYYMMDD
+ */
+function formatIcsDate(year, month, day) { // iCalendar DATE value
+    return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`; // Zero-padded
+} // End formatIcsDate
+
+/**
+ * @param {Date} date
+ * @returns {string} UTC DATE-TIME, e.g. 20261019T120000Z
+ */
+function formatIcsDateTime(date) { // iCalendar UTC timestamp
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // Strip separators + millis
+} // End formatIcsDateTime
+
+/**
+ * @param {string} text
+ * @returns {string} TEXT value with backslashes, separators and newlines escaped
+ */
+function escapeIcsText(text) { // iCalendar TEXT escaping
+    return String(text).replace(/[\\;,]/g, ch => `\\${ch}`).replace(/\r?\n/g, '\\n'); // RFC 5545 §3.3.11
+} // End escapeIcsText
+
+/**
+ * Folds lines longer than 75 characters (continuation lines start with a
+ * space), as required by RFC 5545.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) { // Long line folding
+    if (line.length <= 75) return line; // Short enough
+    const chunks = [line.slice(0, 75)]; // First line
+    for (let i = 75; i < line.length; i += 74) chunks.push(` ${line.slice(i, i + 74)}`); // Continuations (+1 leading space)
+    return chunks.join('\r\n'); // Folded line
+} // End foldIcsLine
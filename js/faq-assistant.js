@@ -0,0 +1,431 @@
+/**
+ * Admissions FAQ assistant: a floating chat widget that answers questions
+ * from the local knowledge base in data/faq.json (no external service).
+ * Questions are matched against each entry's keyword phrases and the words
+ * of its question, tolerating plurals and small typos. An answer links to
+ * its section through the hash router and offers follow-up questions. If
+ * nothing matches well enough, the visitor can hand the question to a
+ * counselor: #infoRequestForm is pre-filled and scrolled into view. The
+ * conversation is kept in sessionStorage, so it survives reloads within
+ * the tab. Like the other data files, the knowledge base is not translated.
+ *
+ * Answers don't hard-code figures: placeholders such as
+ * `{tuition.undergraduate.inState}`, `{cost.fees}`, `{housing.apartment}`
+ * or `{deadline.regular-application}` are filled from the loaded content
+ * when the answer is shown (deadlines follow the current cycle). If any of
+ * them can't be resolved, the entry's figure-free `fallback` is used.
+ */
+const FAQ_ASSISTANT_CONFIG = { // Defaults
+    url: 'data/faq.json', // Knowledge base
+    storageKey: 'ru.assistantSession', // sessionStorage key for the conversation + open state
+    minScore: 1.5, // Weakest match still answered (one keyword, or a keyword with a typo)
+    maxFollowUps: 3, // Suggested questions under an answer
+    maxMessages: 60 // Stored conversation length (oldest dropped first)
+}; // End FAQ_ASSISTANT_CONFIG
+
+const FAQ_SCHEMA = { // faq.json shape
+    suggestions: 'string[]', // Entry ids offered before the first question
+    entries: [{ id: 'string', question: 'string', answer: 'string', fallback: 'string?', keywords: 'string[]', link: 'string?', linkLabel: 'string?', followUps: 'string[]?' }] // Knowledge base
+}; // End FAQ_SCHEMA
+
+const FAQ_PLACEHOLDER = /\{([\w.-]+)\}/g; // {source.id.field} figures filled from loaded content
+
+const FAQ_STOPWORDS = new Set(('a an the is are am was do does did i im me my we our you your to of for in on at by and or ' + // Words that carry no topic
+    'what when where which who how can could would should will there it its be about with any get have has much many ' + // Question scaffolding
+    'rutgers please tell know want need this that if like').split(' ')); // Site-wide terms match everything
+
+const faqAssistantState = { // Knowledge base + conversation
+    entries: new Map(), // id → entry
+    index: [], // Prepared match data per entry
+    suggestions: [], // Starter entry ids
+    messages: [], // Conversation ({role, text} / {role, entryId, related} / {role, handoff})
+    open: false // Panel visibility
+}; // End faqAssistantState
+
+/**
+ * Loads the knowledge base, restores the session's conversation and binds
+ * the widget. Runs in the background: the launcher stays hidden when the
+ * knowledge base is missing.
+ * @returns {Promise<void>}
+ */
+async function initializeFaqAssistant() { // Setup FAQ assistant
+    const widget = document.getElementById('faqAssistant'); // Widget root
+    if (!widget) return; // Markup missing
+
+    try { // Network + parse + schema errors
+        const data = await fetchContentData(FAQ_ASSISTANT_CONFIG.url); // Load knowledge base
+        const errors = validateContentData(data, FAQ_SCHEMA, 'faq'); // Schema check
+        if (errors.length) throw new Error(errors.join('; ')); // Unusable knowledge base
+        indexFaqEntries(data); // Prepare matching
+    } catch (err) { // Missing / malformed file
+        console.warn('FAQ assistant unavailable', err); // Developer hint
+        return; // Launcher stays hidden
+    } // End try/catch
+
+    const session = readFaqSession(); // Conversation so far
+    faqAssistantState.messages = session.messages; // Restore history
+    widget.hidden = false; // Show launcher
+
+    document.getElementById('faqAssistantToggle').addEventListener('click', () => setFaqAssistantOpen(!faqAssistantState.open)); // Launcher
+    document.getElementById('faqAssistantClose').addEventListener('click', () => setFaqAssistantOpen(false)); // Header close
+    document.getElementById('faqAssistantClear').addEventListener('click', clearFaqConversation); // Start over
+    document.getElementById('faqAssistantPanel').addEventListener('keydown', e => { // Keyboard dismissal
+        if (e.key === 'Escape') setFaqAssistantOpen(false); // Back to the launcher
+    }); // End keydown handler
+    document.getElementById('faqAssistantForm').addEventListener('submit', e => { // Send button + Enter key
+        e.preventDefault(); // Handled in page
+        const input = document.getElementById('faqAssistantInput'); // Question field
+        askFaqAssistant(input.value); // Answer
+        input.value = ''; // Ready for the next question
+    }); // End submit handler
+    document.getElementById('faqAssistantLog').addEventListener('click', handleFaqLogClick); // Chips, hand-off + section links
+
+    document.addEventListener('localechange', renderFaqAssistant); // Interface copy follows the language
+    setFaqAssistantOpen(session.open, { focus: false }); // Reopen without stealing focus after a reload
+} // End initializeFaqAssistant
+
+/**
+ * Stores the entries and precomputes normalised keyword phrases and word
+ * lists used by scoreFaqEntry.
+ * @param {{suggestions: string[], entries: Object[]}} data - validated faq.json
+ */
+function indexFaqEntries(data) { // Prepare matching
+    data.entries.filter(entry => !entry.fallback && entry.answer.search(FAQ_PLACEHOLDER) !== -1) // Templated without a fallback
+        .forEach(entry => console.warn(`FAQ entry "${entry.id}" has placeholders but no fallback`)); // Developer hint
+    faqAssistantState.entries = new Map(data.entries.map(entry => [entry.id, entry])); // id lookup
+    faqAssistantState.suggestions = data.suggestions.filter(id => faqAssistantState.entries.has(id)); // Known ids only
+    faqAssistantState.index = data.entries.map(entry => { // Per-entry match data
+        const phrases = entry.keywords.map(normalizeFaqText).filter(Boolean); // "financial aid"
+        return { // Match data
+            entry, // Source entry
+            phrases: phrases.filter(phrase => phrase.includes(' ')), // Multi-word keywords (matched as a whole)
+            keywordWords: new Set(phrases.flatMap(tokenizeFaqText)), // Strong signals
+            questionWords: new Set(tokenizeFaqText(normalizeFaqText(entry.question))) // Weaker signals
+        }; // End match data
+    }); // End entries map
+} // End indexFaqEntries
+
+/**
+ * @param {string} text
+ * @returns {string} lower-case ASCII words separated by single spaces
+ */
+function normalizeFaqText(text) { // Comparable form
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Drop accents
+        .replace(/[^a-z0-9]+/g, ' ').trim(); // Punctuation → spaces
+} // End normalizeFaqText
+
+/**
+ * @param {string} normalized - output of normalizeFaqText
+ * @returns {string[]} topic words (stopwords removed)
+ */
+function tokenizeFaqText(normalized) { // Words worth matching
+    return normalized.split(' ').filter(word => word.length > 1 && !FAQ_STOPWORDS.has(word)); // Topic words
+} // End tokenizeFaqText
+
+/**
+ * Finds the best entry for a question.
+ * @param {string} question - visitor's wording
+ * @returns {?{entry: Object, related: string[]}} best entry + other entries that also matched
+ */
+function matchFaqQuestion(question) { // Keyword + fuzzy search
+    const normalized = normalizeFaqText(question); // Comparable form
+    const words = tokenizeFaqText(normalized); // Topic words
+    const ranked = faqAssistantState.index // All entries
+        .map(item => ({ id: item.entry.id, score: scoreFaqEntry(item, normalized, words) })) // Score each
+        .filter(result => result.score >= FAQ_ASSISTANT_CONFIG.minScore) // Good enough
+        .sort((a, b) => b.score - a.score); // Best first
+    if (!ranked.length) return null; // Hand off to a counselor
+    return { entry: faqAssistantState.entries.get(ranked[0].id), related: ranked.slice(1).map(result => result.id) }; // Answer + runners-up
+} // End matchFaqQuestion
+
+/**
+ * Multi-word keyword phrases found in the question score by length; every
+ * remaining word scores its best similarity to the entry's keyword words
+ * (double weight) or question words.
+ * @param {{phrases: string[], keywordWords: Set<string>, questionWords: Set<string>}} item - indexFaqEntries record
+ * @param {string} normalized - normalised question
+ * @param {string[]} words - topic words of the question
+ * @returns {number} relevance score
+ */
+function scoreFaqEntry(item, normalized, words) { // Relevance
+    let score = 0; // Running total
+    const covered = new Set(); // Words already counted through a phrase
+    item.phrases.forEach(phrase => { // "room and board", "how much"
+        if (!` ${normalized} `.includes(` ${phrase} `)) return; // Not in the question
+        const phraseWords = phrase.split(' '); // Words in the phrase
+        score += 1 + phraseWords.length; // Longer phrases are more specific
+        phraseWords.forEach(word => covered.add(word)); // Don't count twice
+    }); // End phrases loop
+    words.filter(word => !covered.has(word)).forEach(word => { // Remaining words
+        const keyword = getBestFaqWordMatch(word, item.keywordWords); // Similarity to keywords
+        const question = getBestFaqWordMatch(word, item.questionWords); // Similarity to the question
+        score += Math.max(keyword * 2, question); // Keywords weigh more
+    }); // End words loop
+    return score; // Total
+} // End scoreFaqEntry
+
+/**
+ * @param {string} word
+ * @param {Set<string>} candidates
+ * @returns {number} 1 for an exact match, 0.9 for a shared stem
+ *   (plural, -ing), 0.8 for a likely typo, otherwise 0
+ */
+function getBestFaqWordMatch(word, candidates) { // Fuzzy word match
+    if (candidates.has(word)) return 1; // Exact
+    let best = 0; // Best similarity so far
+    candidates.forEach(candidate => { // Compare with each word
+        const shorter = Math.min(word.length, candidate.length); // Shorter of the two
+        if (shorter < 4 || Math.abs(word.length - candidate.length) > 3) return; // Too short / different to compare
+        if (word.startsWith(candidate) || candidate.startsWith(word)) best = Math.max(best, 0.9); // deadline → deadlines
+        else if (getFaqEditDistance(word, candidate) <= (shorter >= 7 ? 2 : 1)) best = Math.max(best, 0.8); // tution → tuition
+    }); // End candidates loop
+    return best; // Similarity
+} // End getBestFaqWordMatch
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Levenshtein distance (insertions, deletions, substitutions)
+ */
+function getFaqEditDistance(a, b) { // Edit distance
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j); // Row for the empty prefix of a
+    for (let i = 1; i <= a.length; i++) { // Each character of a
+        const current = [i]; // First column
+        for (let j = 1; j <= b.length; j++) { // Each character of b
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)); // Delete / insert / substitute
+        } // End inner loop
+        previous = current; // Next row
+    } // End outer loop
+    return previous[b.length]; // Distance
+} // End getFaqEditDistance
+
+/**
+ * Answers a typed question (or offers the counselor hand-off).
+ * @param {string} text - visitor input
+ */
+function askFaqAssistant(text) { // Typed question
+    const question = text.trim(); // Ignore padding
+    if (!question) return; // Nothing asked
+    const match = matchFaqQuestion(question); // Best entry
+    addFaqMessages({ role: 'user', text: question }, match // Question + reply
+        ? { role: 'assistant', entryId: match.entry.id, related: match.related } // Answer
+        : { role: 'assistant', handoff: question }); // No answer: offer a counselor
+    trackEvent('assistant_question', match ? match.entry.id : 'unanswered'); // Which topics get asked (not the wording)
+} // End askFaqAssistant
+
+/**
+ * Answers a suggested / follow-up question directly.
+ * @param {string} id - entry id
+ */
+function askFaqEntry(id) { // Chip question
+    const entry = faqAssistantState.entries.get(id); // Chosen entry
+    if (!entry) return; // Unknown id
+    addFaqMessages({ role: 'user', text: entry.question }, { role: 'assistant', entryId: id, related: [] }); // Question + answer
+    trackEvent('assistant_question', id); // Topic
+} // End askFaqEntry
+
+/**
+ * Appends a question + reply, saves the session, repaints and reads the
+ * reply out.
+ * @param {Object} question - user message
+ * @param {Object} reply - assistant message
+ */
+function addFaqMessages(question, reply) { // Extend conversation
+    faqAssistantState.messages = faqAssistantState.messages.concat(question, reply).slice(-FAQ_ASSISTANT_CONFIG.maxMessages); // Bounded history
+    saveFaqSession(); // Survives reloads
+    renderFaqAssistant(); // Repaint
+    const entry = faqAssistantState.entries.get(reply.entryId); // Answered entry
+    announce(entry ? getFaqAnswer(entry) : t('assistant.noAnswer')); // Screen readers hear the reply
+} // End addFaqMessages
+
+/**
+ * Empties the conversation.
+ */
+function clearFaqConversation() { // Start over
+    faqAssistantState.messages = []; // Forget history
+    saveFaqSession(); // Persist
+    renderFaqAssistant(); // Back to the welcome message
+    document.getElementById('faqAssistantInput').focus(); // Ready to type
+} // End clearFaqConversation
+
+/**
+ * Opens or closes the panel.
+ * @param {boolean} open
+ * @param {{focus?: boolean}} [options] - move focus into the panel / back to the launcher
+ */
+function setFaqAssistantOpen(open, options = {}) { // Panel visibility
+    const panel = document.getElementById('faqAssistantPanel'); // Chat panel
+    const toggle = document.getElementById('faqAssistantToggle'); // Launcher
+    const hadFocus = panel.contains(document.activeElement); // Closing from inside?
+    faqAssistantState.open = open; // Remember
+    panel.hidden = !open; // Show / hide
+    toggle.setAttribute('aria-expanded', String(open)); // State for AT
+    saveFaqSession(); // Reopen after reload
+    if (open) renderFaqAssistant(); // Fresh copy
+    if (options.focus === false) return; // Caller decides focus
+    if (open) document.getElementById('faqAssistantInput').focus(); // Ready to type
+    else if (hadFocus) toggle.focus(); // Don't strand keyboard users
+} // End setFaqAssistantOpen
+
+/**
+ * Delegated clicks in the conversation: question chips, the counselor
+ * hand-off, and section links (which close the panel on small screens so
+ * the section is visible; the router does the scrolling).
+ * @param {MouseEvent} e
+ */
+function handleFaqLogClick(e) { // Log actions
+    const chip = e.target.closest('[data-action="ask-faq"]'); // Suggested question
+    if (chip) askFaqEntry(chip.dataset.faqId); // Answer it
+    const handoff = e.target.closest('[data-action="faq-handoff"]'); // "Ask a counselor"
+    if (handoff) handoffFaqQuestion(faqAssistantState.messages[Number(handoff.dataset.messageIndex)].handoff); // Unanswered question
+    const link = e.target.closest('a[href^="#"]'); // Section link
+    if (link) trackEvent('assistant_link', link.getAttribute('href')); // Which answers send visitors on
+    if (link && window.matchMedia('(max-width: 575.98px)').matches) setFaqAssistantOpen(false, { focus: false }); // Panel covers the page on phones
+} // End handleFaqLogClick
+
+/**
+ * Pre-fills the Request Information form with an unanswered question,
+ * closes the panel and takes the visitor to the form.
+ * @param {string} question
+ */
+function handoffFaqQuestion(question) { // Counselor hand-off
+    const form = document.getElementById('infoRequestForm'); // Contact form
+    const message = document.getElementById('riMessage'); // Message field
+    if (!form || !message) return; // Markup missing
+    const current = message.value.trim(); // Visitor's own text
+    if (!current.includes(question)) message.value = current ? `${current}\n\n${question}` : question; // Add once
+    message.dispatchEvent(new Event('input', { bubbles: true })); // Validation + form-start tracking
+
+    setFaqAssistantOpen(false, { focus: false }); // Out of the way
+    pushRoute('#contact'); // Shareable URL + back button
+    applyRoute(parseRoute('#contact')); // Smooth scroll below the navbar
+    const next = Array.from(form.querySelectorAll('input, select, textarea')).find(field => !field.value) || message; // First blank field
+    next.focus({ preventScroll: true }); // Continue filling in
+    trackEvent('assistant_handoff'); // Unanswered questions reaching counselors
+} // End handoffFaqQuestion
+
+/**
+ * Renders the conversation: a welcome message, then each exchange. The
+ * latest reply carries follow-up chips.
+ */
+function renderFaqAssistant() { // Conversation template
+    const log = document.getElementById('faqAssistantLog'); // Message list
+    const { messages } = faqAssistantState; // History
+    const welcome = renderFaqAssistantMessage('assistant', `<p>${escapeHtml(t('assistant.welcome'))}</p>` // Greeting
+        + (messages.length ? '' : renderFaqChips(faqAssistantState.suggestions, 'assistant.suggestions'))); // Starters until the first question
+    log.innerHTML = welcome + messages.map((message, index) => { // One bubble per message
+        if (message.role === 'user') return renderFaqAssistantMessage('user', `<p>${escapeHtml(message.text)}</p>`); // Visitor
+        const latest = index === messages.length - 1; // Only the latest reply offers chips
+        if (message.handoff) return renderFaqAssistantMessage('assistant', `<p>${escapeHtml(t('assistant.noAnswer'))}</p>
+            <button type="button" class="btn btn-primary btn-sm" data-action="faq-handoff" data-message-index="${index}">
+                <i class="bi bi-person-lines-fill me-1" aria-hidden="true"></i>${escapeHtml(t('assistant.handoff'))}</button>
+            ${latest ? renderFaqChips(faqAssistantState.suggestions, 'assistant.tryAsking') : ''}`); // Counselor hand-off
+        const entry = faqAssistantState.entries.get(message.entryId); // Answered entry
+        if (!entry) return ''; // Knowledge base changed since this session started
+        return renderFaqAssistantMessage('assistant', `<p>${escapeHtml(getFaqAnswer(entry))}</p>
+            ${entry.link ? `<a class="faq-assistant-link" href="${escapeHtml(entry.link)}">${escapeHtml(entry.linkLabel || t('assistant.showSection'))}<i class="bi bi-arrow-right ms-1" aria-hidden="true"></i></a>` : ''}
+            ${latest ? renderFaqChips(getFaqFollowUps(entry, message.related), 'assistant.followUps') : ''}`); // Answer
+    }).join(''); // Concatenate
+    log.scrollTop = log.scrollHeight; // Latest message in view
+} // End renderFaqAssistant
+
+/**
+ * @param {Object} entry - knowledge base entry
+ * @returns {string} answer with its placeholders filled, or the fallback when data is missing
+ */
+function getFaqAnswer(entry) { // Answer with live figures
+    let complete = true; // Every placeholder resolved?
+    const filled = entry.answer.replace(FAQ_PLACEHOLDER, (placeholder, path) => { // Each placeholder
+        const value = resolveFaqPlaceholder(path.split('.')); // Figure from loaded content
+        if (value === null) complete = false; // Data missing or invalid
+        return value === null ? placeholder : value; // Formatted figure
+    }); // End replace
+    return complete || !entry.fallback ? filled : entry.fallback; // Never show stale or partial figures
+} // End getFaqAnswer
+
+/**
+ * Looks up one placeholder in the validated content the page renders from:
+ * `tuition.<row>.<inState|outOfState>`, `cost.<key>[.<key>]` (cost-aid.json
+ * settings), `housing.<rate>`, and `deadline.<id>` / `deadlineTime.<id>`
+ * in the current deadline cycle.
+ * @param {string[]} path - placeholder split on dots
+ * @returns {?string} formatted value, or null when unavailable
+ */
+function resolveFaqPlaceholder([source, id, field]) { // Placeholder → text
+    const amount = value => (typeof value === 'number' ? formatCurrency(value) : null); // Currency or unresolved
+    if (source === 'tuition') return amount(((renderedContentBlocks.tuition || []).find(row => row.id === id) || {})[field]); // Tuition table row
+    if (source === 'cost') { // Fees + aid rules
+        if (!hasContentSettings('cost-aid')) return null; // Missing or invalid cost-aid.json
+        const value = contentCache['cost-aid'][id]; // Top-level setting
+        return amount(field ? (value || {})[field] : value); // Nested or direct amount
+    } // End cost branch
+    if (source === 'housing') { // Housing & dining rates
+        const housing = contentCache['student-life'] && contentCache['student-life'].housing; // Validated housing panel
+        return amount(housing && (housing.rates.find(rate => rate.id === id) || {}).cost); // Rate by id
+    } // End housing branch
+    if (source === 'deadline' || source === 'deadlineTime') { // Current cycle dates
+        if (!deadlineTrackerState.deadlines.length) return null; // Deadlines not loaded
+        const deadline = resolveDeadlineCycle().deadlines.find(item => item.id === id); // Rolls over after the last deadline
+        if (!deadline) return null; // Unknown id
+        return source === 'deadlineTime' // Time or date
+            ? formatDeadlineTime(deadline) // e.g. "11:59 PM EST"
+            : deadline.due.toLocaleDateString(getIntlLocale(), { month: 'long', day: 'numeric', year: 'numeric', timeZone: deadlineTrackerState.timeZone }); // e.g. "January 15, 2027"
+    } // End deadline branch
+    return null; // Unknown source
+} // End resolveFaqPlaceholder
+
+/**
+ * @param {'user'|'assistant'} role
+ * @param {string} body - inner markup
+ * @returns {string} message bubble markup (with a speaker label for screen readers)
+ */
+function renderFaqAssistantMessage(role, body) { // Bubble template
+    return `<li class="faq-assistant-message from-${role}">
+        <span class="visually-hidden">${escapeHtml(t(role === 'user' ? 'assistant.you' : 'assistant.name'))}:</span>${body}
+    </li>`; // Bubble
+} // End renderFaqAssistantMessage
+
+/**
+ * @param {string[]} ids - entry ids
+ * @param {string} headingKey - catalog key of the label above the chips
+ * @returns {string} question chip markup ('' when there is nothing to offer)
+ */
+function renderFaqChips(ids, headingKey) { // Chip list template
+    const entries = ids.map(id => faqAssistantState.entries.get(id)).filter(Boolean); // Known entries
+    if (!entries.length) return ''; // Nothing to suggest
+    return `<p class="faq-assistant-chips-label">${escapeHtml(t(headingKey))}</p>
+        <div class="faq-assistant-chips">${entries.map(entry => `<button type="button" class="btn btn-outline-primary btn-sm"
+            data-action="ask-faq" data-faq-id="${escapeHtml(entry.id)}">${escapeHtml(entry.question)}</button>`).join('')}</div>`; // Chips
+} // End renderFaqChips
+
+/**
+ * @param {Object} entry - answered entry
+ * @param {string[]} [related] - other entries that matched the question
+ * @returns {string[]} up to maxFollowUps entry ids, curated follow-ups first
+ */
+function getFaqFollowUps(entry, related = []) { // Next questions
+    const asked = new Set(faqAssistantState.messages.map(message => message.entryId)); // Already answered
+    return [...new Set([...(entry.followUps || []), ...related])] // Curated, then runners-up
+        .filter(id => id !== entry.id && !asked.has(id)) // Skip repeats
+        .slice(0, FAQ_ASSISTANT_CONFIG.maxFollowUps); // Keep the list short
+} // End getFaqFollowUps
+
+/**
+ * @returns {{open: boolean, messages: Object[]}} this tab's saved conversation
+ */
+function readFaqSession() { // Load session
+    try { // Storage may be unavailable / corrupt
+        const stored = JSON.parse(sessionStorage.getItem(FAQ_ASSISTANT_CONFIG.storageKey)); // Parse record
+        if (stored && Array.isArray(stored.messages)) return { open: stored.open === true, messages: stored.messages }; // Validate
+    } catch (err) { /* fall through */ } // Start fresh
+    return { open: false, messages: [] }; // New conversation
+} // End readFaqSession
+
+/**
+ * Saves the conversation and open state for this tab.
+ */
+function saveFaqSession() { // Persist session
+    try { // Storage may be unavailable / full
+        sessionStorage.setItem(FAQ_ASSISTANT_CONFIG.storageKey, JSON.stringify({ open: faqAssistantState.open, messages: faqAssistantState.messages })); // Write
+    } catch (err) { /* keep the in-memory conversation */ } // Ignore
+} // End saveFaqSession
@@ -0,0 +1,209 @@
+/**
+ * Runtime internationalisation. Message catalogs live in js/locales/*.js
+ * (one `I18N_CATALOGS.<code>` object per language, loaded after this
+ * file); static markup opts in with `data-i18n="key"` (text) and
+ * `data-i18n-attr="attr:key;attr:key"` (attributes), and scripts call
+ * `t(key, params)`. Switching language re-translates the page in place and
+ * dispatches a `localechange` event on `document` so modules can repaint
+ * the copy they generate. The choice is remembered in localStorage.
+ */
+const I18N_CATALOGS = {}; // Locale code → message catalog (filled by js/locales/*.js)
+
+const I18N_LOCALES = { // Supported locales → Intl locale for number / date formatting
+    en: 'en-US', // English (default + fallback)
+    es: 'es-US' // Spanish (United States)
+}; // End I18N_LOCALES
+const I18N_DEFAULT_LOCALE = 'en'; // Source language of the markup
+const I18N_STORAGE_KEY = 'ru.locale'; // localStorage key for the visitor's choice
+
+const i18nState = { // Active language
+    locale: I18N_DEFAULT_LOCALE // Current locale code
+}; // End i18nState
+
+/**
+ * Picks the starting locale (saved choice, then browser languages), binds
+ * the switchers and translates the page when it isn't English.
+ */
+function initializeI18n() { // Setup translations
+    i18nState.locale = readStoredLocale() || detectBrowserLocale() || I18N_DEFAULT_LOCALE; // Starting language
+    document.documentElement.lang = i18nState.locale; // Screen readers + hyphenation
+    if (i18nState.locale !== I18N_DEFAULT_LOCALE) applyTranslations(); // Markup is already English
+
+    document.querySelectorAll('[data-locale]').forEach(button => { // EN / ES buttons (navbar + offcanvas)
+        button.addEventListener('click', () => setLocale(button.dataset.locale)); // Switch without reload
+    }); // End switcher binding
+    renderLocaleSwitchers(); // Pressed state
+} // End initializeI18n
+
+/**
+ * Switches the page language, remembers the choice and notifies modules.
+ * @param {string} locale - key of I18N_LOCALES
+ */
+function setLocale(locale) { // Change language
+    if (!isSupportedLocale(locale) || locale === i18nState.locale) return; // Unsupported / unchanged
+    i18nState.locale = locale; // Activate
+    try { // Storage may be unavailable
+        localStorage.setItem(I18N_STORAGE_KEY, locale); // Survive reloads
+    } catch (err) { // Private mode / quota
+        console.warn('Unable to save language preference', err); // Non-fatal
+    } // End try/catch
+
+    document.documentElement.lang = locale; // Document language
+    applyTranslations(); // Static copy
+    renderLocaleSwitchers(); // Pressed state
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } })); // Generated copy
+    trackEvent('locale_change', locale); // Analytics
+} // End setLocale
+
+/**
+ * @returns {string} active locale code (e.g. 'es')
+ */
+function getLocale() { // Active language
+    return i18nState.locale; // Current code
+} // End getLocale
+
+/**
+ * @returns {string} BCP 47 tag for Intl formatters (e.g. 'es-US')
+ */
+function getIntlLocale() { // Formatting locale
+    return I18N_LOCALES[i18nState.locale] || I18N_LOCALES[I18N_DEFAULT_LOCALE]; // Known mapping
+} // End getIntlLocale
+
+/**
+ * Looks up a message in the active catalog (falling back to English, then
+ * to the key itself) and fills `{name}` placeholders from `params`. Plural
+ * entries (`{ one, other }`) are chosen with `params.count`.
+ * @param {string} key - dotted catalog path, e.g. 'compare.limit'
+ * @param {Object<string, *>} [params]
+ * @returns {string}
+ */
+function t(key, params = {}) { // Translate
+    let message = lookupMessage(i18nState.locale, key); // Active language
+    if (message === undefined) message = lookupMessage(I18N_DEFAULT_LOCALE, key); // English fallback
+    if (message === undefined) { // Unknown key
+        console.warn(`Missing translation: ${key}`); // Developer hint
+        return key; // Visible but harmless
+    } // End missing branch
+    if (typeof message === 'object') { // Plural forms
+        const form = new Intl.PluralRules(getIntlLocale()).select(Number(params.count) || 0); // 'one', 'other', …
+        message = message[form] || message.other; // Languages without that form use 'other'
+    } // End plural branch
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)); // Interpolate
+} // End t
+
+/**
+ * @param {string} key
+ * @returns {boolean} whether any catalog (active or English) defines the key
+ */
+function hasTranslation(key) { // Key exists?
+    return lookupMessage(i18nState.locale, key) !== undefined || lookupMessage(I18N_DEFAULT_LOCALE, key) !== undefined; // Either catalog
+} // End hasTranslation
+
+/**
+ * @param {string} locale
+ * @param {string} key - dotted path
+ * @returns {string|Object|undefined} message, plural object or undefined
+ */
+function lookupMessage(locale, key) { // Walk nested catalog
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), I18N_CATALOGS[locale]); // Descend
+    return typeof value === 'string' || (value && typeof value.other === 'string') ? value : undefined; // Messages only
+} // End lookupMessage
+
+/**
+ * Translates every `[data-i18n]` / `[data-i18n-attr]` element under root.
+ * Elements may carry `data-i18n-params` (JSON) for placeholders.
+ * @param {ParentNode} [root]
+ */
+function applyTranslations(root = document) { // Re-translate markup
+    root.querySelectorAll('[data-i18n]').forEach(el => { // Text content
+        setTranslatedText(el, t(el.dataset.i18n, readI18nParams(el))); // Replace copy
+    }); // End text loop
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => { // Attributes
+        el.dataset.i18nAttr.split(';').forEach(pair => { // "attr:key" pairs
+            const [attr, key] = pair.split(':').map(part => part.trim()); // Split pair
+            if (attr && key) el.setAttribute(attr, t(key)); // Translate attribute
+        }); // End pairs loop
+    }); // End attributes loop
+} // End applyTranslations
+
+/**
+ * Sets an element's copy from a catalog key and remembers the key (and
+ * params) so later language switches update it automatically.
+ * @param {HTMLElement} el
+ * @param {string} key
+ * @param {Object<string, *>} [params]
+ */
+function translateElement(el, key, params) { // Bind element to a message
+    el.dataset.i18n = key; // Key for applyTranslations
+    if (params) el.dataset.i18nParams = JSON.stringify(params); // Placeholder values
+    else delete el.dataset.i18nParams; // No placeholders
+    setTranslatedText(el, t(key, params)); // Current language
+} // End translateElement
+
+/**
+ * Replaces an element's own text while keeping child elements (icons,
+ * hints): the first non-blank text node is rewritten, or one is appended.
+ * @param {HTMLElement} el
+ * @param {string} text
+ */
+function setTranslatedText(el, text) { // Text swap that preserves icons
+    if (!el.children.length) { // Plain text element
+        el.textContent = text; // Simple case
+        return; // Done
+    } // End plain branch
+    const node = Array.from(el.childNodes).find(child => child.nodeType === Node.TEXT_NODE && child.nodeValue.trim()); // Existing copy
+    if (node) node.nodeValue = node.nodeValue.replace(/^(\s*)[\s\S]*?(\s*)$/, (match, lead, trail) => lead + text + trail); // Keep spacing around icons
+    else el.appendChild(document.createTextNode(text)); // No copy yet
+} // End setTranslatedText
+
+/**
+ * @param {HTMLElement} el
+ * @returns {Object<string, *>} parsed data-i18n-params (empty when absent / invalid)
+ */
+function readI18nParams(el) { // Placeholder values from markup
+    try { // Attribute may be malformed
+        return el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {}; // Parsed params
+    } catch (err) { // Invalid JSON
+        return {}; // Ignore
+    } // End try/catch
+} // End readI18nParams
+
+/**
+ * Mirrors the active locale onto every switcher button.
+ */
+function renderLocaleSwitchers() { // Pressed state
+    document.querySelectorAll('[data-locale]').forEach(button => { // Each button
+        const active = button.dataset.locale === i18nState.locale; // Current language?
+        button.setAttribute('aria-pressed', String(active)); // Toggle state for AT
+        button.classList.toggle('active', active); // Visual state
+    }); // End buttons loop
+} // End renderLocaleSwitchers
+
+/**
+ * @param {*} code
+ * @returns {boolean} whether the code is a key of I18N_LOCALES
+ */
+function isSupportedLocale(code) { // Locale guard
+    return Object.prototype.hasOwnProperty.call(I18N_LOCALES, code); // Own keys only
+} // End isSupportedLocale
+
+/**
+ * @returns {?string} saved locale when still supported
+ */
+function readStoredLocale() { // Load saved choice
+    try { // Storage may be unavailable
+        const stored = localStorage.getItem(I18N_STORAGE_KEY); // Saved code
+        return isSupportedLocale(stored) ? stored : null; // Validate
+    } catch (err) { // Private mode
+        return null; // No preference
+    } // End try/catch
+} // End readStoredLocale
+
+/**
+ * @returns {?string} first supported language from the browser settings
+ */
+function detectBrowserLocale() { // Browser preference
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || '']; // Ordered preferences
+    const match = languages.map(lang => String(lang).toLowerCase().split('-')[0]).find(isSupportedLocale); // Primary subtag
+    return match || null; // Supported match
+} // End detectBrowserLocale
@@ -0,0 +1,524 @@
+/**
+ * English message catalog. This is the source copy: every key used by
+ * `data-i18n` attributes and `t()` calls must exist here, and other
+ * locales fall back to it for anything they have not translated yet.
+ * Placeholders use `{name}`; plural entries are `{ one, other }` objects
+ * selected by the `count` parameter.
+ */
+I18N_CATALOGS.en = { // English (source copy)
+    meta: { // Document title
+        title: 'Rutgers University - Excellence in Education'
+    }, // End meta
+    common: { // Shared labels
+        close: 'Close',
+        applyNow: 'Apply Now'
+    }, // End common
+    locale: { // Language switcher
+        label: 'Language'
+    }, // End locale
+    a11y: { // Motion toggle (js/accessibility.js)
+        motionReduced: 'Animations reduced.',
+        motionRestored: 'Animations turned back on.'
+    }, // End a11y
+    nav: { // Navbar + mobile offcanvas
+        home: 'Home',
+        about: 'About',
+        programs: 'Programs',
+        campuses: 'Campuses',
+        studentLife: 'Student Life',
+        costAid: 'Cost & Aid',
+        alumni: 'Alumni',
+        contact: 'Contact',
+        openMenu: 'Open menu'
+    }, // End nav
+    hero: { // #home
+        title: 'Discover Your Future at Rutgers University',
+        lead: 'New Jersey\'s premier public research university, empowering students since 1766 with world-class education and unlimited opportunities across three dynamic campuses.',
+        explorePrograms: 'Explore Programs'
+    }, // End hero
+    stats: { // Rutgers by the Numbers
+        title: 'Rutgers by the Numbers',
+        lead: 'Discover the impact and reach of New Jersey\'s flagship university',
+        students: 'Students Enrolled',
+        studentsNote: 'Across all campuses and programs',
+        programs: 'Academic Programs',
+        programsNote: 'Undergraduate and graduate degrees',
+        faculty: 'Faculty Members',
+        facultyNote: 'Renowned scholars and researchers',
+        alumni: 'Alumni Worldwide',
+        alumniNote: 'Making an impact globally'
+    }, // End stats
+    about: { // #about
+        title: 'Why Choose Rutgers?',
+        lead: 'Founded in 1766, Rutgers stands as one of America\'s oldest and most prestigious public research universities, committed to excellence in education, research, and service.',
+        excellence: 'Academic Excellence',
+        excellenceText: 'Top-ranked programs and world-renowned faculty',
+        innovation: 'Innovation Hub',
+        innovationText: 'Cutting-edge research and breakthrough discoveries',
+        community: 'Diverse Community',
+        communityText: 'Students from all 50 states and 100+ countries',
+        career: 'Career Success',
+        careerText: 'Strong alumni network and industry connections',
+        imageCaption: 'Students collaborating on campus',
+        imageAlt: 'Rutgers students collaborating in a modern academic space',
+        mission: 'Our Mission',
+        missionQuote: '"To serve the people of New Jersey, the nation, and the world through excellence and leadership in teaching, research, health care delivery, and community service."',
+        values: 'Core Values',
+        valueExcellence: 'Excellence',
+        valueIntegrity: 'Integrity',
+        valueDiversity: 'Diversity',
+        valueInnovation: 'Innovation',
+        valueCollaboration: 'Collaboration',
+        valueService: 'Service'
+    }, // End about
+    programs: { // #programs
+        title: 'Schools & Programs',
+        lead: 'Discover world-class education across our renowned schools and colleges',
+        emptyTitle: 'No programs match your filters.',
+        emptyHint: 'Try a different keyword or remove a filter.',
+        askCta: 'Ask About a Program'
+    }, // End programs
+    explorer: { // Program search + facets (js/program-explorer.js)
+        clearFilters: 'Clear filters',
+        label: 'Filter programs',
+        searchLabel: 'Search programs & majors',
+        searchPlaceholder: 'Try “computer science” or “nursing”',
+        areaLegend: 'Area of study',
+        levelLegend: 'Degree level',
+        showingAll: 'Showing all {total} schools',
+        showing: 'Showing {visible} of {total} schools',
+        category: {
+            engineering: 'Engineering',
+            business: 'Business',
+            health: 'Health',
+            'arts-sciences': 'Arts & Sciences',
+            communications: 'Communication'
+        },
+        level: {
+            undergraduate: 'Undergraduate',
+            graduate: 'Graduate',
+            professional: 'Professional'
+        }
+    }, // End explorer
+    compare: { // Comparison tray + modal (js/program-compare.js)
+        trayLabel: 'Program comparison',
+        trayTitle: 'Compare',
+        clear: 'Clear',
+        open: 'Compare programs',
+        modalTitle: 'Compare Programs',
+        tuitionNote: 'Tuition rows come from the Cost & Aid table for each level the program offers.',
+        copyLink: 'Copy link',
+        add: 'Add to compare',
+        added: 'Added to compare',
+        limit: 'You can compare up to {limit} programs. Remove one to add another.',
+        count: '{count} of {limit} selected',
+        remove: 'Remove {title} from comparison',
+        minHint: 'Select at least two programs',
+        caption: 'Comparison of {programs}',
+        rowLevels: 'Levels offered',
+        rowMajors: 'Sample majors',
+        rowCampus: 'Campus',
+        rowTuition: 'Tuition (in-state / out-of-state)',
+        linkCopied: 'Comparison link copied to your clipboard.',
+        linkFailed: 'Couldn\'t copy automatically. Please copy the link from your address bar.'
+    }, // End compare
+    packet: { // Admissions packet (js/admissions-packet.js)
+        build: 'Build my packet',
+        buildCta: 'Build my admissions packet',
+        buildHint: 'Your compared programs, tuition, upcoming deadlines and campus details in one printable page.',
+        title: 'Your Admissions Packet',
+        intro: 'A summary of the programs you compared, their tuition, upcoming deadlines and campus details. Print it, download it or email it to yourself.',
+        emailLabel: 'Email me this packet',
+        emailSubmit: 'Send',
+        emailHelp: 'We only use this address to send the packet.',
+        downloadHtml: 'Download page',
+        downloadJson: 'Download data (JSON)',
+        print: 'Print',
+        documentTitle: 'Rutgers Admissions Packet',
+        prepared: 'Prepared {date}',
+        programs: 'Programs',
+        noPrograms: 'Add programs to the comparison tray (or browse a few) to include them here.',
+        tuition: 'Estimated annual tuition',
+        tuitionNote: 'Illustrative figures. Verify tuition and mandatory fees on the official site.',
+        estimate: 'Your net price estimate',
+        deadlines: 'Upcoming deadlines',
+        campuses: 'Campuses',
+        contact: 'Contact admissions',
+        phone: 'Phone',
+        email: 'Email',
+        website: 'Website',
+        unavailable: 'Not available right now.',
+        sending: 'Sending...',
+        emailSent: 'Packet sent! Check your inbox in a few minutes.',
+        emailQueued: 'You\'re offline. We\'ll email the packet as soon as you reconnect.',
+        emailFailed: 'Sorry, we couldn\'t email the packet. Please try again or download it instead.'
+    }, // End packet
+    campuses: { // #campuses
+        title: 'Our Campuses',
+        lead: 'Three distinct campuses, each offering unique opportunities and experiences'
+    }, // End campuses
+    visit: { // Campus visit booking modal (js/visit-booking.js)
+        title: 'Plan a Visit',
+        intro: 'Join a student-led campus tour or a live virtual information session with an admissions counselor.',
+        campus: 'Campus *',
+        type: 'Visit type *',
+        date: 'Date *',
+        time: 'Time *',
+        partySize: 'Party size *',
+        partySizeHelp: 'Including yourself, up to 6 people.',
+        contactHeading: 'Your details',
+        submit: 'Book visit',
+        book: 'Plan a visit',
+        types: {
+            tour: 'Campus tour',
+            virtual: 'Virtual info session'
+        },
+        timePlaceholder: 'Select a time...',
+        chooseDate: 'Choose a date to see available times.',
+        noSlots: 'No visits are scheduled on this date. Please choose another day.',
+        slotsAvailable: { one: '{count} time available', other: '{count} times available' },
+        seatsLeft: { one: '{time} ({count} spot left)', other: '{time} ({count} spots left)' },
+        slotFull: '{time} (full)',
+        booking: 'Booking...',
+        confirmedTitle: 'You\'re booked!',
+        confirmedText: '{type} at Rutgers–{campus} on {date} at {time}.',
+        party: { one: 'Party of {count}', other: 'Party of {count}' },
+        confirmationCode: 'Confirmation code: {code}',
+        confirmationEmail: 'A confirmation will be sent to {email}.',
+        addToCalendar: 'Add to calendar (.ics)',
+        bookAnother: 'Book another visit',
+        slotTaken: 'Sorry, that time just filled up. Please pick another time.',
+        offline: 'You\'re offline. Reconnect to book a visit; spots can\'t be reserved offline.',
+        failed: 'We couldn\'t book your visit right now. Please try again or email admissions@rutgers.edu.',
+        calendarTitle: 'Rutgers–{campus}: {type}',
+        calendarDescription: '{party}. Confirmation code: {code}.',
+        calendarReminder: 'Rutgers–{campus} {type} tomorrow'
+    }, // End visit
+    personalize: { // Visitor profile personalisation (js/personalization.js)
+        continue: 'Continue',
+        dismiss: 'No thanks',
+        matchBadge: 'Matches your interests',
+        continueApplication: 'Continue your application',
+        exploreInterest: 'Explore {category} programs',
+        welcomeBack: 'Welcome back! Continue where you left off in {section}?',
+        resetDone: 'Personalization reset. The page is back to its default order.'
+    }, // End personalize
+    assistant: { // FAQ chat widget (js/faq-assistant.js)
+        title: 'Admissions Assistant',
+        clear: 'Clear',
+        conversation: 'Conversation',
+        inputLabel: 'Your question',
+        placeholder: 'Ask about deadlines, tuition, housing...',
+        send: 'Send',
+        launcher: 'Questions?',
+        welcome: 'Hi! I can answer common admissions questions about deadlines, costs, housing, programs and visits. What would you like to know?',
+        suggestions: 'Popular questions',
+        followUps: 'Related questions',
+        tryAsking: 'Or try one of these',
+        noAnswer: 'Sorry, I don\'t have an answer for that yet. An admissions counselor can help; I\'ll copy your question into the Request Information form.',
+        handoff: 'Ask a counselor',
+        showSection: 'Show me',
+        you: 'You',
+        name: 'Assistant'
+    }, // End assistant
+    life: { // #student-life
+        title: 'Student Life',
+        lead: 'Experience a vibrant, inclusive community that supports your growth inside and outside the classroom.',
+        tabsLabel: 'Student life categories',
+        facilities: 'Facilities',
+        housing: 'Housing',
+        clubs: 'Clubs & Orgs',
+        activities: 'Activities',
+        galleryTitle: 'Student Life Photo Highlights',
+        galleryRecreationAlt: 'Students exercising inside the Rutgers recreation center',
+        galleryRecreation: 'Recreation',
+        galleryHousingAlt: 'Residence hall room shared by first-year students',
+        galleryDiningAlt: 'Students eating together in a campus dining hall',
+        galleryDining: 'Dining',
+        galleryClubsAlt: 'Students attending an outdoor campus club festival',
+        galleryClubs: 'Clubs & Events'
+    }, // End life
+    application: { // Application modal
+        title: 'Application Form',
+        progressLabel: 'Application progress',
+        progressPersonal: 'Personal',
+        progressAcademics: 'Academics',
+        progressProgram: 'Program',
+        progressEssays: 'Essays',
+        progressReview: 'Review',
+        startOver: 'Start over',
+        personalTitle: 'Personal Information',
+        birthDate: 'Date of Birth *',
+        academicTitle: 'Academic History',
+        highSchool: 'High School / Most Recent Institution *',
+        graduationYear: 'Graduation Year *',
+        gpa: 'GPA (4.0 scale)',
+        priorCredits: 'AP / Dual-Enrollment / Transfer Credits',
+        priorCreditsPlaceholder: 'e.g. AP Calculus BC (5), AP Biology (4)',
+        programTitle: 'Program & Campus',
+        program: 'Program of Interest *',
+        programPlaceholder: 'Select a program...',
+        programBusiness: 'Business Administration',
+        programEngineering: 'Engineering',
+        programLiberalArts: 'Liberal Arts',
+        programSciences: 'Natural Sciences',
+        programNursing: 'Nursing',
+        programPharmacy: 'Pharmacy',
+        programCommunications: 'Communications',
+        programEducation: 'Education',
+        campus: 'Campus Preference *',
+        campusPlaceholder: 'Select a campus...',
+        campusNoPreference: 'No preference',
+        startDate: 'Preferred Start Date',
+        startDatePlaceholder: 'Select start date...',
+        startFall2025: 'Fall 2025',
+        startSpring2026: 'Spring 2026',
+        startSummer2026: 'Summer 2026',
+        essaysTitle: 'Essays & Documents',
+        essayPrompt: 'Essay Prompt *',
+        essayPromptPlaceholder: 'Select a prompt...',
+        essayPromptBackground: 'A background or identity central to who you are',
+        essayPromptChallenge: 'A challenge you faced and what you learned',
+        essayPromptImpact: 'How you hope to contribute to the Rutgers community',
+        personalStatement: 'Personal Statement *',
+        supportingDocs: 'Supporting Documents',
+        supportingDocsHelp: 'PDF or Word, up to 5 files. Only file details are sent now; our team will request the documents after review.',
+        reviewTitle: 'Review & Submit',
+        reviewHint: 'Check your answers before submitting. Use Edit to change a section.',
+        saveClose: 'Save & Close',
+        back: 'Back',
+        next: 'Next',
+        submit: 'Submit Application',
+        submitting: 'Submitting...',
+        queued: 'You appear to be offline. Your application was saved and will be sent automatically when you reconnect.',
+        sent: 'Application submitted successfully! We\'ll contact you within 2 business days.',
+        failed: 'We couldn\'t submit your application right now. Please try again in a few minutes.'
+    }, // End application
+    wizard: { // Wizard status + review (js/application-wizard.js)
+        status: 'Step {step} of {total}: {title}',
+        wordCount: '{count} / {min} words minimum',
+        words: { one: '{count} word', other: '{count} words' },
+        edit: 'Edit',
+        editSection: 'Edit {title}',
+        draftRestored: 'Welcome back! We restored the draft you saved.',
+        draftRestoredOn: 'Welcome back! We restored the draft you saved on {date}.'
+    }, // End wizard
+    forms: { // Labels shared by both forms
+        firstName: 'First Name *',
+        lastName: 'Last Name *',
+        email: 'Email *',
+        phone: 'Phone'
+    }, // End forms
+    fields: { // Field names used in validation messages
+        firstName: 'First name',
+        lastName: 'Last name',
+        email: 'Email',
+        phone: 'Phone',
+        message: 'Message',
+        birthDate: 'Date of birth',
+        highSchool: 'School name',
+        graduationYear: 'Graduation year',
+        gpa: 'GPA',
+        program: 'Program of interest',
+        campus: 'Campus preference',
+        essayPrompt: 'Essay prompt',
+        personalStatement: 'Personal statement',
+        supportingDocs: 'Supporting documents',
+        credits: 'Credits per semester',
+        income: 'Household income',
+        efc: 'EFC / SAI',
+        visitCampus: 'Campus',
+        visitType: 'Visit type',
+        visitDate: 'Visit date',
+        visitTime: 'Time',
+        partySize: 'Party size'
+    }, // End fields
+    validation: { // Rule messages (js/validation.js)
+        required: '{label} is required.',
+        email: 'Enter a valid {label} address.',
+        blockedDomain: 'Please use a personal or school email address, not {domain}.',
+        personName: '{label} can only contain letters, spaces, hyphens and apostrophes.',
+        phone: 'Enter a 10-digit phone number, e.g. (732) 555-0123, or an international number starting with +.',
+        number: '{label} must be a number.',
+        integer: '{label} must be a whole number.',
+        min: '{label} must be at least {min}.',
+        max: '{label} must be {max} or less.',
+        maxLength: '{label} must be {max} characters or fewer.',
+        minWords: '{label} needs at least {min} words (currently {count}).',
+        pastDate: '{label} must be in the past.',
+        maxFiles: 'Attach up to {max} files.',
+        minimumAge: 'Applicants must be at least 13 years old.',
+        graduationYear: 'Graduation year doesn\'t match your date of birth.',
+        summary: { one: 'Please fix the following error:', other: 'Please fix the following {count} errors:' },
+        visitDate: 'No visits are available on this date. Please choose another day.',
+        visitSeats: 'Not enough spots are left at this time for your party.'
+    }, // End validation
+    costAid: { // #cost-aid
+        title: 'Cost & Financial Aid',
+        lead: 'Invest in your future with transparent tuition, robust aid, and flexible payment options.',
+        tuitionTitle: 'Estimated Annual Tuition (Illustrative)',
+        tuitionLevel: 'Program Level',
+        tuitionInState: 'In-State',
+        tuitionOutOfState: 'Out-of-State',
+        tuitionNote: 'Figures are placeholders. Replace with the most current published tuition schedule.',
+        tuitionWarning: 'Always verify tuition & mandatory fees on the official site before final submission.',
+        scholarships: 'Scholarships',
+        scholarshipsText: 'Merit-based, talent-based, and leadership awards reduce tuition burden.',
+        grants: 'Grants',
+        grantsText: 'Federal and state need-based aid—no repayment required.',
+        loans: 'Loans',
+        loansText: 'Subsidized, unsubsidized, and responsible borrowing education.',
+        workStudy: 'Work-Study',
+        workStudyText: 'On-campus employment supporting experience and affordability.',
+        advisorCta: 'Ask a Financial Aid Advisor'
+    }, // End costAid
+    deadlines: { // Key Deadlines card (js/deadline-tracker.js)
+        title: 'Key Deadlines (Sample)',
+        exportAll: 'Add all to calendar (.ics)',
+        note: 'Confirm exact dates with official admissions publications.',
+        nextUp: 'Next up',
+        addToCalendar: 'Add to calendar',
+        addItemToCalendar: 'Add {title} to calendar',
+        passed: 'Deadline passed',
+        left: '{time} left',
+        days: { one: '{count} day', other: '{count} days' },
+        hours: { one: '{count} hour', other: '{count} hours' },
+        dueBy: 'Due by {time}',
+        cycle: 'Dates for the Fall {year} entry cycle.'
+    }, // End deadlines
+    calculator: { // Net price calculator (js/cost-calculator.js)
+        title: 'Net Price Calculator',
+        intro: 'Estimate your yearly cost of attendance and what you might pay after grants and scholarships. Uses the same rates as the tuition table above.',
+        level: 'Program Level',
+        residency: 'Residency',
+        residencyIn: 'New Jersey resident',
+        residencyOut: 'Out-of-state',
+        housing: 'Housing',
+        housingOn: 'On-campus',
+        housingCommuter: 'Commuter',
+        credits: 'Credits per Semester',
+        creditsHelp: '12 or more credits is full-time (flat tuition).',
+        income: 'Household Income',
+        incomePlaceholder: 'e.g. 75000',
+        efc: 'EFC / SAI (optional)',
+        efcHelp: 'Your Expected Family Contribution or Student Aid Index from the FAFSA, if you know it.',
+        print: 'Print',
+        copy: 'Copy breakdown',
+        disclaimer: 'Estimates only, based on the illustrative figures on this page. Your official aid offer may differ.',
+        items: {
+            tuition: 'Tuition',
+            fees: 'Fees',
+            housing: 'Housing',
+            transportation: 'Transportation',
+            meals: 'Meal plan',
+            food: 'Food',
+            books: 'Books & supplies',
+            personal: 'Personal expenses'
+        },
+        scenarios: {
+            sticker: 'Sticker price',
+            grants: 'After need-based grants',
+            all: 'After grants + merit'
+        },
+        onCampus: 'on-campus',
+        commuter: 'commuter',
+        creditLoad: '{count} credits/semester',
+        estimateTitle: 'Estimated cost for one year',
+        costOfAttendance: 'Cost of attendance',
+        needGrants: 'Need-based grants',
+        merit: 'Merit scholarship',
+        netPrice: 'Estimated net price',
+        aidPrompt: 'Enter your household income or EFC/SAI to estimate need-based grants.',
+        aidUndergradOnly: 'Grant estimates cover undergraduates only. Graduate and professional students are usually funded through assistantships, fellowships and loans.',
+        scenariosCaption: 'Scenarios (program total assumes {years} years with a {increase}% yearly tuition increase)',
+        scenario: 'Scenario',
+        perYear: 'Per year',
+        yearTotal: '{years}-year total',
+        summaryTitle: 'Rutgers estimated cost of attendance — {program}',
+        summaryScenario: '{label}: {yearly}/year, {total} over {years} years',
+        summaryDisclaimer: 'Estimate only; your official financial aid offer may differ.',
+        copied: 'Cost breakdown copied to your clipboard.',
+        copyFailed: 'Couldn\'t copy automatically. Please select the estimate and copy it manually.'
+    }, // End calculator
+    alumni: { // #alumni
+        title: 'Alumni Success',
+        lead: 'A powerful global network driving innovation, leadership, and impact.',
+        statAlumni: 'Global Alumni',
+        statOutcomes: 'Career Outcomes*',
+        statPartners: 'Industry Partners',
+        statInternships: 'Internship Participation',
+        spotlightAlt: 'Rutgers alumna working in a biotechnology lab',
+        spotlight: 'Alumni Spotlight',
+        spotlightQuote: '“Rutgers gave me the research foundation and network to launch my career in biotech.”',
+        spotlightName: 'Jane Doe ’22 · Bioinformatics',
+        notable: 'Notable Alumni',
+        notablePolicy: 'Leadership in public service & policy',
+        notableResearch: 'Breakthroughs in biomedical research',
+        notableFounders: 'Founders in technology & media',
+        notableSustainability: 'Advocates for global sustainability',
+        careerSupport: 'Career Support',
+        careerSupportText: 'Dedicated career centers offer advising, employer fairs, interview preparation, and alumni networking events.',
+        badgeCoaching: 'Career Coaching',
+        badgeNetwork: 'Global Network',
+        badgeInternships: 'Internships',
+        industry: 'Industry Connections',
+        industryText: 'Partnerships with healthcare systems, financial institutions, startups, and research labs drive experiential learning.',
+        outcomesNote: '* Career outcomes within 6 months of graduation (illustrative figure).',
+        connectCta: 'Connect With Alumni Relations'
+    }, // End alumni
+    contact: { // #contact + info request outcomes
+        title: 'Request Information',
+        lead: 'Have questions? Our admissions team is here to help you plan your path.',
+        interest: 'Area of Interest',
+        interestPlaceholder: 'Select...',
+        interestEngineering: 'Engineering',
+        interestBusiness: 'Business',
+        interestHealth: 'Health Sciences',
+        interestArts: 'Arts & Humanities',
+        interestSciences: 'Sciences',
+        interestOther: 'Other',
+        message: 'Message / Question',
+        messageRequired: '(required for "Other")',
+        messagePlaceholder: 'Tell us how we can help...',
+        submit: 'Submit Request',
+        offices: 'Admissions Offices',
+        privacy: 'We respect your privacy. Submitted information is used solely for admissions outreach.',
+        sending: 'Sending...',
+        queued: 'You appear to be offline. Your request was saved and will be sent automatically when you reconnect.',
+        sent: 'Thank you! Your request has been received. We will respond shortly.',
+        failed: 'Sorry, we couldn\'t send your request. Please try again or email admissions@rutgers.edu.'
+    }, // End contact
+    footer: { // Footer
+        about: 'New Jersey\'s premier public research university, serving students since 1766 with excellence in education, research, and community service.',
+        follow: 'Follow Us',
+        quickLinks: 'Quick Links',
+        academicPrograms: 'Academic Programs',
+        campuses: 'Campuses',
+        admissions: 'Admissions',
+        financialAid: 'Financial Aid',
+        studentLife: 'Student Life',
+        locations: 'Campus Locations',
+        contactInfo: 'Contact Information',
+        copyright: '© 2025 Rutgers, The State University of New Jersey. All rights reserved.',
+        founded: 'Founded 1766 | New Brunswick, Newark, Camden',
+        privacy: 'Privacy Policy',
+        terms: 'Terms of Use',
+        cookies: 'Cookie preferences',
+        reduceMotion: 'Reduce animations',
+        resetProfile: 'Reset personalization'
+    }, // End footer
+    consent: { // Analytics consent banner
+        title: 'Cookies & analytics',
+        text: 'We\'d like to measure which pages and programs visitors find useful. Nothing is collected unless you accept, and you can change your choice any time under "Cookie preferences" in the footer.',
+        decline: 'Decline',
+        accept: 'Accept'
+    }, // End consent
+    content: { // Data-driven section templates (js/content-renderer.js)
+        unavailable: 'This information is temporarily unavailable. Visit {site} or contact admissions at {email}.',
+        housingPlan: 'Plan',
+        housingCost: 'Est. Cost'
+    }, // End content
+    submission: { // Offline queue replay (js/submission.js)
+        replayed: { one: '{count} saved submission was sent now that you\'re back online.', other: '{count} saved submissions were sent now that you\'re back online.' }
+    } // End submission
+}; // End I18N_CATALOGS.en
@@ -0,0 +1,521 @@
+/**
+ * Spanish (US) message catalog. Keys mirror js/locales/en.js; anything
+ * missing here falls back to the English copy.
+ */
+I18N_CATALOGS.es = { // Spanish
+    meta: { // Document title
+        title: 'Rutgers University - Excelencia en la educación'
+    }, // End meta
+    common: { // Shared labels
+        close: 'Cerrar',
+        applyNow: 'Solicita ahora'
+    }, // End common
+    locale: { // Language switcher
+        label: 'Idioma'
+    }, // End locale
+    a11y: { // Motion toggle (js/accessibility.js)
+        motionReduced: 'Animaciones reducidas.',
+        motionRestored: 'Animaciones activadas de nuevo.'
+    }, // End a11y
+    nav: { // Navbar + mobile offcanvas
+        home: 'Inicio',
+        about: 'Nosotros',
+        programs: 'Programas',
+        campuses: 'Campus',
+        studentLife: 'Vida estudiantil',
+        costAid: 'Costos y ayuda',
+        alumni: 'Exalumnos',
+        contact: 'Contacto',
+        openMenu: 'Abrir menú'
+    }, // End nav
+    hero: { // #home
+        title: 'Descubre tu futuro en Rutgers University',
+        lead: 'La principal universidad pública de investigación de Nueva Jersey, impulsando a sus estudiantes desde 1766 con una educación de primer nivel y oportunidades ilimitadas en tres campus dinámicos.',
+        explorePrograms: 'Explora los programas'
+    }, // End hero
+    stats: { // Rutgers by the Numbers
+        title: 'Rutgers en cifras',
+        lead: 'Descubre el impacto y el alcance de la universidad insignia de Nueva Jersey',
+        students: 'Estudiantes inscritos',
+        studentsNote: 'En todos los campus y programas',
+        programs: 'Programas académicos',
+        programsNote: 'Títulos de pregrado y posgrado',
+        faculty: 'Miembros del profesorado',
+        facultyNote: 'Académicos e investigadores reconocidos',
+        alumni: 'Exalumnos en todo el mundo',
+        alumniNote: 'Dejando huella en todo el mundo'
+    }, // End stats
+    about: { // #about
+        title: '¿Por qué elegir Rutgers?',
+        lead: 'Fundada en 1766, Rutgers es una de las universidades públicas de investigación más antiguas y prestigiosas de Estados Unidos, comprometida con la excelencia en la educación, la investigación y el servicio.',
+        excellence: 'Excelencia académica',
+        excellenceText: 'Programas de primer nivel y profesorado de renombre mundial',
+        innovation: 'Centro de innovación',
+        innovationText: 'Investigación de vanguardia y descubrimientos innovadores',
+        community: 'Comunidad diversa',
+        communityText: 'Estudiantes de los 50 estados y de más de 100 países',
+        career: 'Éxito profesional',
+        careerText: 'Una sólida red de exalumnos y conexiones con la industria',
+        imageCaption: 'Estudiantes colaborando en el campus',
+        imageAlt: 'Estudiantes de Rutgers colaborando en un espacio académico moderno',
+        mission: 'Nuestra misión',
+        missionQuote: '"Servir a la gente de Nueva Jersey, del país y del mundo mediante la excelencia y el liderazgo en la enseñanza, la investigación, la atención médica y el servicio comunitario."',
+        values: 'Valores fundamentales',
+        valueExcellence: 'Excelencia',
+        valueIntegrity: 'Integridad',
+        valueDiversity: 'Diversidad',
+        valueInnovation: 'Innovación',
+        valueCollaboration: 'Colaboración',
+        valueService: 'Servicio'
+    }, // End about
+    programs: { // #programs
+        title: 'Escuelas y programas',
+        lead: 'Descubre una educación de primer nivel en nuestras reconocidas escuelas y facultades',
+        emptyTitle: 'Ningún programa coincide con tus filtros.',
+        emptyHint: 'Prueba con otra palabra clave o quita un filtro.',
+        askCta: 'Pregunta por un programa'
+    }, // End programs
+    explorer: { // Program search + facets (js/program-explorer.js)
+        clearFilters: 'Borrar filtros',
+        label: 'Filtrar programas',
+        searchLabel: 'Buscar programas y especialidades',
+        searchPlaceholder: 'Prueba con “computer science” o “nursing”',
+        areaLegend: 'Área de estudio',
+        levelLegend: 'Nivel de titulación',
+        showingAll: 'Mostrando las {total} escuelas',
+        showing: 'Mostrando {visible} de {total} escuelas',
+        category: {
+            engineering: 'Ingeniería',
+            business: 'Negocios',
+            health: 'Salud',
+            'arts-sciences': 'Artes y ciencias',
+            communications: 'Comunicación'
+        },
+        level: {
+            undergraduate: 'Pregrado',
+            graduate: 'Posgrado',
+            professional: 'Profesional'
+        }
+    }, // End explorer
+    compare: { // Comparison tray + modal (js/program-compare.js)
+        trayLabel: 'Comparación de programas',
+        trayTitle: 'Comparar',
+        clear: 'Borrar',
+        open: 'Comparar programas',
+        modalTitle: 'Comparar programas',
+        tuitionNote: 'Las filas de matrícula provienen de la tabla de Costos y ayuda para cada nivel que ofrece el programa.',
+        copyLink: 'Copiar enlace',
+        add: 'Agregar a la comparación',
+        added: 'Agregado a la comparación',
+        limit: 'Puedes comparar hasta {limit} programas. Quita uno para agregar otro.',
+        count: '{count} de {limit} seleccionados',
+        remove: 'Quitar {title} de la comparación',
+        minHint: 'Selecciona al menos dos programas',
+        caption: 'Comparación de {programs}',
+        rowLevels: 'Niveles ofrecidos',
+        rowMajors: 'Especialidades de ejemplo',
+        rowCampus: 'Campus',
+        rowTuition: 'Matrícula (residentes / fuera del estado)',
+        linkCopied: 'Se copió el enlace de la comparación al portapapeles.',
+        linkFailed: 'No se pudo copiar automáticamente. Copia el enlace desde la barra de direcciones.'
+    }, // End compare
+    packet: { // Admissions packet (js/admissions-packet.js)
+        build: 'Crear mi paquete',
+        buildCta: 'Crear mi paquete de admisiones',
+        buildHint: 'Tus programas comparados, la matrícula, los próximos plazos y los detalles de los campus en una sola página imprimible.',
+        title: 'Tu paquete de admisiones',
+        intro: 'Un resumen de los programas que comparaste, su matrícula, los próximos plazos y los detalles de los campus. Imprímelo, descárgalo o envíatelo por correo.',
+        emailLabel: 'Enviarme este paquete por correo',
+        emailSubmit: 'Enviar',
+        emailHelp: 'Solo usamos esta dirección para enviarte el paquete.',
+        downloadHtml: 'Descargar página',
+        downloadJson: 'Descargar datos (JSON)',
+        print: 'Imprimir',
+        documentTitle: 'Paquete de admisiones de Rutgers',
+        prepared: 'Preparado el {date}',
+        programs: 'Programas',
+        noPrograms: 'Agrega programas a la bandeja de comparación (o explora algunos) para incluirlos aquí.',
+        tuition: 'Matrícula anual estimada',
+        tuitionNote: 'Cifras ilustrativas. Verifica la matrícula y las tarifas obligatorias en el sitio oficial.',
+        estimate: 'Tu estimación de precio neto',
+        deadlines: 'Próximos plazos',
+        campuses: 'Campus',
+        contact: 'Contacta con admisiones',
+        phone: 'Teléfono',
+        email: 'Correo electrónico',
+        website: 'Sitio web',
+        unavailable: 'No disponible en este momento.',
+        sending: 'Enviando...',
+        emailSent: '¡Paquete enviado! Revisa tu bandeja de entrada en unos minutos.',
+        emailQueued: 'Estás sin conexión. Enviaremos el paquete en cuanto vuelvas a conectarte.',
+        emailFailed: 'Lo sentimos, no pudimos enviar el paquete. Inténtalo de nuevo o descárgalo.'
+    }, // End packet
+    campuses: { // #campuses
+        title: 'Nuestros campus',
+        lead: 'Tres campus distintos, cada uno con oportunidades y experiencias únicas'
+    }, // End campuses
+    visit: { // Campus visit booking modal (js/visit-booking.js)
+        title: 'Planifica una visita',
+        intro: 'Únete a un recorrido por el campus guiado por estudiantes o a una sesión informativa virtual en vivo con un asesor de admisiones.',
+        campus: 'Campus *',
+        type: 'Tipo de visita *',
+        date: 'Fecha *',
+        time: 'Hora *',
+        partySize: 'Número de personas *',
+        partySizeHelp: 'Incluyéndote a ti, hasta 6 personas.',
+        contactHeading: 'Tus datos',
+        submit: 'Reservar visita',
+        book: 'Planifica una visita',
+        types: {
+            tour: 'Recorrido por el campus',
+            virtual: 'Sesión informativa virtual'
+        },
+        timePlaceholder: 'Selecciona una hora...',
+        chooseDate: 'Elige una fecha para ver los horarios disponibles.',
+        noSlots: 'No hay visitas programadas en esta fecha. Elige otro día.',
+        slotsAvailable: { one: '{count} horario disponible', other: '{count} horarios disponibles' },
+        seatsLeft: { one: '{time} (queda {count} lugar)', other: '{time} (quedan {count} lugares)' },
+        slotFull: '{time} (completo)',
+        booking: 'Reservando...',
+        confirmedTitle: '¡Tu visita está reservada!',
+        confirmedText: '{type} en Rutgers–{campus} el {date} a las {time}.',
+        party: { one: 'Grupo de {count} persona', other: 'Grupo de {count} personas' },
+        confirmationCode: 'Código de confirmación: {code}',
+        confirmationEmail: 'Enviaremos una confirmación a {email}.',
+        addToCalendar: 'Añadir al calendario (.ics)',
+        bookAnother: 'Reservar otra visita',
+        slotTaken: 'Lo sentimos, ese horario se acaba de llenar. Elige otra hora.',
+        offline: 'No tienes conexión. Vuelve a conectarte para reservar una visita; los lugares no se pueden reservar sin conexión.',
+        failed: 'No pudimos reservar tu visita en este momento. Inténtalo de nuevo o escribe a admissions@rutgers.edu.',
+        calendarTitle: 'Rutgers–{campus}: {type}',
+        calendarDescription: '{party}. Código de confirmación: {code}.',
+        calendarReminder: 'Mañana: {type} en Rutgers–{campus}'
+    }, // End visit
+    personalize: { // Visitor profile personalisation (js/personalization.js)
+        continue: 'Continuar',
+        dismiss: 'No, gracias',
+        matchBadge: 'Coincide con tus intereses',
+        continueApplication: 'Continúa tu solicitud',
+        exploreInterest: 'Explora los programas de {category}',
+        welcomeBack: '¡Hola de nuevo! ¿Quieres continuar donde lo dejaste en {section}?',
+        resetDone: 'Personalización restablecida. La página vuelve a su orden predeterminado.'
+    }, // End personalize
+    assistant: { // FAQ chat widget (js/faq-assistant.js)
+        title: 'Asistente de admisiones',
+        clear: 'Borrar',
+        conversation: 'Conversación',
+        inputLabel: 'Tu pregunta',
+        placeholder: 'Pregunta por plazos, matrícula, vivienda...',
+        send: 'Enviar',
+        launcher: '¿Preguntas?',
+        welcome: '¡Hola! Puedo responder preguntas frecuentes sobre plazos, costos, vivienda, programas y visitas. ¿Qué te gustaría saber? (Las respuestas están en inglés).',
+        suggestions: 'Preguntas frecuentes',
+        followUps: 'Preguntas relacionadas',
+        tryAsking: 'O prueba con una de estas',
+        noAnswer: 'Lo siento, todavía no tengo respuesta para eso. Un consejero de admisiones puede ayudarte; copiaré tu pregunta en el formulario de solicitud de información.',
+        handoff: 'Preguntar a un consejero',
+        showSection: 'Ver sección',
+        you: 'Tú',
+        name: 'Asistente'
+    }, // End assistant
+    life: { // #student-life
+        title: 'Vida estudiantil',
+        lead: 'Vive una comunidad dinámica e inclusiva que apoya tu crecimiento dentro y fuera del aula.',
+        tabsLabel: 'Categorías de vida estudiantil',
+        facilities: 'Instalaciones',
+        housing: 'Vivienda',
+        clubs: 'Clubes y organizaciones',
+        activities: 'Actividades',
+        galleryTitle: 'Fotos destacadas de la vida estudiantil',
+        galleryRecreationAlt: 'Estudiantes haciendo ejercicio en el centro recreativo de Rutgers',
+        galleryRecreation: 'Recreación',
+        galleryHousingAlt: 'Habitación de residencia compartida por estudiantes de primer año',
+        galleryDiningAlt: 'Estudiantes comiendo juntos en un comedor del campus',
+        galleryDining: 'Comedores',
+        galleryClubsAlt: 'Estudiantes en un festival de clubes al aire libre en el campus',
+        galleryClubs: 'Clubes y eventos'
+    }, // End life
+    application: { // Application modal
+        title: 'Formulario de solicitud',
+        progressLabel: 'Progreso de la solicitud',
+        progressPersonal: 'Datos personales',
+        progressAcademics: 'Estudios',
+        progressProgram: 'Programa',
+        progressEssays: 'Ensayos',
+        progressReview: 'Revisión',
+        startOver: 'Empezar de nuevo',
+        personalTitle: 'Información personal',
+        birthDate: 'Fecha de nacimiento *',
+        academicTitle: 'Historial académico',
+        highSchool: 'Escuela secundaria / institución más reciente *',
+        graduationYear: 'Año de graduación *',
+        gpa: 'Promedio (GPA, escala de 4.0)',
+        priorCredits: 'Créditos AP / de doble inscripción / de transferencia',
+        priorCreditsPlaceholder: 'p. ej., AP Calculus BC (5), AP Biology (4)',
+        programTitle: 'Programa y campus',
+        program: 'Programa de interés *',
+        programPlaceholder: 'Selecciona un programa...',
+        programBusiness: 'Administración de empresas',
+        programEngineering: 'Ingeniería',
+        programLiberalArts: 'Artes liberales',
+        programSciences: 'Ciencias naturales',
+        programNursing: 'Enfermería',
+        programPharmacy: 'Farmacia',
+        programCommunications: 'Comunicaciones',
+        programEducation: 'Educación',
+        campus: 'Campus de preferencia *',
+        campusPlaceholder: 'Selecciona un campus...',
+        campusNoPreference: 'Sin preferencia',
+        startDate: 'Fecha de inicio preferida',
+        startDatePlaceholder: 'Selecciona la fecha de inicio...',
+        startFall2025: 'Otoño 2025',
+        startSpring2026: 'Primavera 2026',
+        startSummer2026: 'Verano 2026',
+        essaysTitle: 'Ensayos y documentos',
+        essayPrompt: 'Tema del ensayo *',
+        essayPromptPlaceholder: 'Selecciona un tema...',
+        essayPromptBackground: 'Un origen o una identidad esencial para quien eres',
+        essayPromptChallenge: 'Un desafío que enfrentaste y lo que aprendiste',
+        essayPromptImpact: 'Cómo esperas contribuir a la comunidad de Rutgers',
+        personalStatement: 'Declaración personal *',
+        supportingDocs: 'Documentos de respaldo',
+        supportingDocsHelp: 'PDF o Word, hasta 5 archivos. Por ahora solo se envían los datos de los archivos; nuestro equipo solicitará los documentos después de la revisión.',
+        reviewTitle: 'Revisar y enviar',
+        reviewHint: 'Revisa tus respuestas antes de enviar. Usa Editar para cambiar una sección.',
+        saveClose: 'Guardar y cerrar',
+        back: 'Atrás',
+        next: 'Siguiente',
+        submit: 'Enviar solicitud',
+        submitting: 'Enviando...',
+        queued: 'Parece que no tienes conexión. Tu solicitud se guardó y se enviará automáticamente cuando vuelvas a conectarte.',
+        sent: '¡Solicitud enviada con éxito! Nos comunicaremos contigo en un plazo de 2 días hábiles.',
+        failed: 'No pudimos enviar tu solicitud en este momento. Inténtalo de nuevo en unos minutos.'
+    }, // End application
+    wizard: { // Wizard status + review (js/application-wizard.js)
+        status: 'Paso {step} de {total}: {title}',
+        wordCount: '{count} / {min} palabras como mínimo',
+        words: { one: '{count} palabra', other: '{count} palabras' },
+        edit: 'Editar',
+        editSection: 'Editar {title}',
+        draftRestored: '¡Hola de nuevo! Recuperamos el borrador que guardaste.',
+        draftRestoredOn: '¡Hola de nuevo! Recuperamos el borrador que guardaste el {date}.'
+    }, // End wizard
+    forms: { // Labels shared by both forms
+        firstName: 'Nombre *',
+        lastName: 'Apellido *',
+        email: 'Correo electrónico *',
+        phone: 'Teléfono'
+    }, // End forms
+    fields: { // Field names used in validation messages
+        firstName: 'Nombre',
+        lastName: 'Apellido',
+        email: 'Correo electrónico',
+        phone: 'Teléfono',
+        message: 'Mensaje',
+        birthDate: 'Fecha de nacimiento',
+        highSchool: 'Nombre de la escuela',
+        graduationYear: 'Año de graduación',
+        gpa: 'Promedio (GPA)',
+        program: 'Programa de interés',
+        campus: 'Campus de preferencia',
+        essayPrompt: 'Tema del ensayo',
+        personalStatement: 'Declaración personal',
+        supportingDocs: 'Documentos de respaldo',
+        credits: 'Créditos por semestre',
+        income: 'Ingresos del hogar',
+        efc: 'EFC / SAI',
+        visitCampus: 'Campus',
+        visitType: 'Tipo de visita',
+        visitDate: 'Fecha de la visita',
+        visitTime: 'Hora',
+        partySize: 'Número de personas'
+    }, // End fields
+    validation: { // Rule messages (js/validation.js)
+        required: 'El campo {label} es obligatorio.',
+        email: 'Introduce una dirección de {label} válida.',
+        blockedDomain: 'Usa una dirección de correo personal o escolar, no de {domain}.',
+        personName: 'El campo {label} solo puede contener letras, espacios, guiones y apóstrofos.',
+        phone: 'Introduce un número de teléfono de 10 dígitos, p. ej., (732) 555-0123, o un número internacional que empiece por +.',
+        number: 'El campo {label} debe ser un número.',
+        integer: 'El campo {label} debe ser un número entero.',
+        min: 'El campo {label} debe ser como mínimo {min}.',
+        max: 'El campo {label} debe ser como máximo {max}.',
+        maxLength: 'El campo {label} debe tener {max} caracteres como máximo.',
+        minWords: 'El campo {label} necesita al menos {min} palabras (ahora tiene {count}).',
+        pastDate: 'El campo {label} debe ser una fecha pasada.',
+        maxFiles: 'Adjunta un máximo de {max} archivos.',
+        minimumAge: 'Los solicitantes deben tener al menos 13 años.',
+        graduationYear: 'El año de graduación no coincide con tu fecha de nacimiento.',
+        summary: { one: 'Corrige el siguiente error:', other: 'Corrige los siguientes {count} errores:' },
+        visitDate: 'No hay visitas disponibles en esta fecha. Elige otro día.',
+        visitSeats: 'No quedan suficientes lugares en este horario para tu grupo.'
+    }, // End validation
+    costAid: { // #cost-aid
+        title: 'Costos y ayuda financiera',
+        lead: 'Invierte en tu futuro con matrícula transparente, ayuda sólida y opciones de pago flexibles.',
+        tuitionTitle: 'Matrícula anual estimada (ilustrativa)',
+        tuitionLevel: 'Nivel del programa',
+        tuitionInState: 'Residentes del estado',
+        tuitionOutOfState: 'Fuera del estado',
+        tuitionNote: 'Las cifras son de ejemplo. Sustitúyelas por la tabla de matrícula publicada más reciente.',
+        tuitionWarning: 'Verifica siempre la matrícula y las cuotas obligatorias en el sitio oficial antes del envío final.',
+        scholarships: 'Becas',
+        scholarshipsText: 'Las becas por mérito, talento y liderazgo reducen el costo de la matrícula.',
+        grants: 'Subvenciones',
+        grantsText: 'Ayuda federal y estatal según necesidad económica, sin obligación de reembolso.',
+        loans: 'Préstamos',
+        loansText: 'Préstamos subsidiados y no subsidiados, y orientación para endeudarse con responsabilidad.',
+        workStudy: 'Estudio y trabajo',
+        workStudyText: 'Empleo en el campus que aporta experiencia y hace los estudios más asequibles.',
+        advisorCta: 'Consulta a un asesor de ayuda financiera'
+    }, // End costAid
+    deadlines: { // Key Deadlines card (js/deadline-tracker.js)
+        title: 'Fechas límite clave (ejemplo)',
+        exportAll: 'Agregar todas al calendario (.ics)',
+        note: 'Confirma las fechas exactas en las publicaciones oficiales de admisiones.',
+        nextUp: 'Próxima',
+        addToCalendar: 'Agregar al calendario',
+        addItemToCalendar: 'Agregar {title} al calendario',
+        passed: 'Plazo vencido',
+        left: 'Quedan {time}',
+        days: { one: '{count} día', other: '{count} días' },
+        hours: { one: '{count} hora', other: '{count} horas' },
+        dueBy: 'Fecha límite: {time}',
+        cycle: 'Fechas del ciclo de ingreso de otoño {year}.'
+    }, // End deadlines
+    calculator: { // Net price calculator (js/cost-calculator.js)
+        title: 'Calculadora de precio neto',
+        intro: 'Calcula tu costo anual de asistencia y lo que podrías pagar después de subvenciones y becas. Usa las mismas tarifas que la tabla de matrícula de arriba.',
+        level: 'Nivel del programa',
+        residency: 'Residencia',
+        residencyIn: 'Residente de Nueva Jersey',
+        residencyOut: 'Fuera del estado',
+        housing: 'Vivienda',
+        housingOn: 'En el campus',
+        housingCommuter: 'Desde casa',
+        credits: 'Créditos por semestre',
+        creditsHelp: '12 créditos o más es tiempo completo (matrícula fija).',
+        income: 'Ingresos del hogar',
+        incomePlaceholder: 'p. ej., 75000',
+        efc: 'EFC / SAI (opcional)',
+        efcHelp: 'Tu Contribución Familiar Esperada (EFC) o Índice de Ayuda Estudiantil (SAI) de la FAFSA, si lo conoces.',
+        print: 'Imprimir',
+        copy: 'Copiar desglose',
+        disclaimer: 'Solo son estimaciones basadas en las cifras ilustrativas de esta página. Tu oferta oficial de ayuda puede ser diferente.',
+        items: {
+            tuition: 'Matrícula',
+            fees: 'Cuotas',
+            housing: 'Vivienda',
+            transportation: 'Transporte',
+            meals: 'Plan de comidas',
+            food: 'Alimentación',
+            books: 'Libros y materiales',
+            personal: 'Gastos personales'
+        },
+        scenarios: {
+            sticker: 'Precio de lista',
+            grants: 'Con subvenciones por necesidad',
+            all: 'Con subvenciones + mérito'
+        },
+        onCampus: 'en el campus',
+        commuter: 'desde casa',
+        creditLoad: '{count} créditos/semestre',
+        estimateTitle: 'Costo estimado para un año',
+        costOfAttendance: 'Costo de asistencia',
+        needGrants: 'Subvenciones por necesidad',
+        merit: 'Beca por mérito',
+        netPrice: 'Precio neto estimado',
+        aidPrompt: 'Introduce los ingresos del hogar o tu EFC/SAI para estimar las subvenciones por necesidad.',
+        aidUndergradOnly: 'Las estimaciones de subvenciones solo cubren a estudiantes de pregrado. Los estudiantes de posgrado y profesionales suelen financiarse con asistentías, becas de investigación y préstamos.',
+        scenariosCaption: 'Escenarios (el total del programa supone {years} años con un aumento anual de la matrícula del {increase} %)',
+        scenario: 'Escenario',
+        perYear: 'Por año',
+        yearTotal: 'Total en {years} años',
+        summaryTitle: 'Costo de asistencia estimado en Rutgers — {program}',
+        summaryScenario: '{label}: {yearly}/año, {total} en {years} años',
+        summaryDisclaimer: 'Solo es una estimación; tu oferta oficial de ayuda financiera puede ser diferente.',
+        copied: 'Se copió el desglose de costos al portapapeles.',
+        copyFailed: 'No se pudo copiar automáticamente. Selecciona la estimación y cópiala manualmente.'
+    }, // End calculator
+    alumni: { // #alumni
+        title: 'El éxito de nuestros exalumnos',
+        lead: 'Una poderosa red mundial que impulsa la innovación, el liderazgo y el impacto.',
+        statAlumni: 'Exalumnos en el mundo',
+        statOutcomes: 'Resultados profesionales*',
+        statPartners: 'Socios de la industria',
+        statInternships: 'Participación en prácticas',
+        spotlightAlt: 'Exalumna de Rutgers trabajando en un laboratorio de biotecnología',
+        spotlight: 'Exalumna destacada',
+        spotlightQuote: '“Rutgers me dio la base en investigación y la red de contactos para lanzar mi carrera en biotecnología.”',
+        spotlightName: 'Jane Doe ’22 · Bioinformática',
+        notable: 'Exalumnos destacados',
+        notablePolicy: 'Liderazgo en el servicio público y las políticas públicas',
+        notableResearch: 'Avances en la investigación biomédica',
+        notableFounders: 'Fundadores en tecnología y medios',
+        notableSustainability: 'Defensores de la sostenibilidad mundial',
+        careerSupport: 'Apoyo profesional',
+        careerSupportText: 'Centros de carreras especializados ofrecen asesoría, ferias de empleo, preparación para entrevistas y eventos de networking con exalumnos.',
+        badgeCoaching: 'Orientación profesional',
+        badgeNetwork: 'Red mundial',
+        badgeInternships: 'Prácticas',
+        industry: 'Conexiones con la industria',
+        industryText: 'Las alianzas con sistemas de salud, instituciones financieras, empresas emergentes y laboratorios de investigación impulsan el aprendizaje práctico.',
+        outcomesNote: '* Resultados profesionales dentro de los 6 meses posteriores a la graduación (cifra ilustrativa).',
+        connectCta: 'Conéctate con Relaciones con Exalumnos'
+    }, // End alumni
+    contact: { // #contact + info request outcomes
+        title: 'Solicita información',
+        lead: '¿Tienes preguntas? Nuestro equipo de admisiones está aquí para ayudarte a planificar tu camino.',
+        interest: 'Área de interés',
+        interestPlaceholder: 'Selecciona...',
+        interestEngineering: 'Ingeniería',
+        interestBusiness: 'Negocios',
+        interestHealth: 'Ciencias de la salud',
+        interestArts: 'Artes y humanidades',
+        interestSciences: 'Ciencias',
+        interestOther: 'Otro',
+        message: 'Mensaje / pregunta',
+        messageRequired: '(obligatorio si eliges "Otro")',
+        messagePlaceholder: 'Cuéntanos cómo podemos ayudarte...',
+        submit: 'Enviar solicitud',
+        offices: 'Oficinas de admisiones',
+        privacy: 'Respetamos tu privacidad. La información enviada se usa únicamente para comunicaciones de admisiones.',
+        sending: 'Enviando...',
+        queued: 'Parece que no tienes conexión. Tu solicitud de información se guardó y se enviará automáticamente cuando vuelvas a conectarte.',
+        sent: '¡Gracias! Recibimos tu solicitud. Te responderemos pronto.',
+        failed: 'Lo sentimos, no pudimos enviar tu solicitud. Inténtalo de nuevo o escribe a admissions@rutgers.edu.'
+    }, // End contact
+    footer: { // Footer
+        about: 'La principal universidad pública de investigación de Nueva Jersey, al servicio de sus estudiantes desde 1766 con excelencia en la educación, la investigación y el servicio comunitario.',
+        follow: 'Síguenos',
+        quickLinks: 'Enlaces rápidos',
+        academicPrograms: 'Programas académicos',
+        campuses: 'Campus',
+        admissions: 'Admisiones',
+        financialAid: 'Ayuda financiera',
+        studentLife: 'Vida estudiantil',
+        locations: 'Ubicación de los campus',
+        contactInfo: 'Información de contacto',
+        copyright: '© 2025 Rutgers, The State University of New Jersey. Todos los derechos reservados.',
+        founded: 'Fundada en 1766 | New Brunswick, Newark, Camden',
+        privacy: 'Política de privacidad',
+        terms: 'Condiciones de uso',
+        cookies: 'Preferencias de cookies',
+        reduceMotion: 'Reducir animaciones',
+        resetProfile: 'Restablecer personalización'
+    }, // End footer
+    consent: { // Analytics consent banner
+        title: 'Cookies y analítica',
+        text: 'Nos gustaría medir qué páginas y programas les resultan útiles a los visitantes. No se recopila nada a menos que aceptes, y puedes cambiar tu elección en cualquier momento en "Preferencias de cookies", al pie de la página.',
+        decline: 'Rechazar',
+        accept: 'Aceptar'
+    }, // End consent
+    content: { // Data-driven section templates (js/content-renderer.js)
+        unavailable: 'Esta información no está disponible temporalmente. Visita {site} o escribe a admisiones a {email}.',
+        housingPlan: 'Plan',
+        housingCost: 'Costo est.'
+    }, // End content
+    submission: { // Offline queue replay (js/submission.js)
+        replayed: { one: 'Se envió {count} solicitud guardada ahora que vuelves a tener conexión.', other: 'Se enviaron {count} solicitudes guardadas ahora que vuelves a tener conexión.' }
+    } // End submission
+}; // End I18N_CATALOGS.es
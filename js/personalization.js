@@ -0,0 +1,359 @@
+/**
+ * Client-side personalisation. With analytics consent granted, a visitor
+ * profile in localStorage records what the visitor tells us: interests
+ * declared in the info request (`riInterest`) and application (`program`)
+ * selects, program categories they filter on or compare, and the sections
+ * (and Student Life tabs) they view. The page then:
+ * - moves `.program-item` cards of the top interests to the front, with a badge;
+ * - pre-selects the interest / program dropdowns when they are still empty;
+ * - swaps the hero CTA copy ("Continue your application", "Explore
+ *   Engineering programs");
+ * - offers "Continue where you left off" on the first page view of a
+ *   new session.
+ * Nothing leaves the browser. Declining consent deletes the profile, and
+ * the footer "Reset personalization" control clears it at any time.
+ */
+const PERSONALIZATION_CONFIG = { // Defaults
+    storageKey: 'ru.visitorProfile', // localStorage key for the profile
+    sessionKey: 'ru.profileSession', // sessionStorage flag: banner already considered this session
+    declaredWeight: 3, // Score of an interest the visitor picked in a form
+    minInterestScore: 2, // Weakest interest that personalises the page
+    maxInterests: 2 // Categories highlighted at most
+}; // End PERSONALIZATION_CONFIG
+
+const PERSONALIZATION_INTERESTS = { // Program category → matching dropdown values (first = default pick)
+    engineering: { interest: ['Engineering'], program: ['engineering'] }, // School of Engineering
+    business: { interest: ['Business'], program: ['business'] }, // Business School
+    health: { interest: ['Health Sciences'], program: ['nursing', 'pharmacy'] }, // Nursing + Pharmacy
+    'arts-sciences': { interest: ['Arts & Humanities', 'Sciences'], program: ['liberal-arts', 'sciences'] }, // Arts & Sciences
+    communications: { interest: ['Arts & Humanities'], program: ['communications'] } // Communication
+}; // End PERSONALIZATION_INTERESTS
+
+const personalizationState = { // Runtime state
+    profile: null, // Current profile (null when personalisation is off)
+    preselected: [] // Selects filled from the profile (cleared again on reset)
+}; // End personalizationState
+
+/**
+ * Loads the profile (when consent allows), binds the recorders and applies
+ * the profile to the page. Runs after the program cards render and before
+ * the router, so the banner is in place before deep-link offsets are measured.
+ */
+function initializePersonalization() { // Setup personalisation
+    if (analyticsState.consent === 'denied') removeVisitorProfile(); // Honour an earlier opt-out
+    personalizationState.profile = canPersonalize() ? readVisitorProfile() : null; // Stored profile
+
+    document.addEventListener('change', recordDeclaredInterest); // Dropdowns + category facets
+    document.addEventListener('click', recordCompareInterest); // Compare toggles (after program-compare updated)
+    document.addEventListener('sectionchange', e => recordSectionVisit(e.detail.id)); // Router: section in view
+    document.addEventListener('shown.bs.tab', recordTabVisit); // Student Life tabs
+    document.addEventListener('consentchange', handlePersonalizationConsent); // Follow the cookie choice
+    document.addEventListener('localechange', renderPersonalization); // CTA + badge copy
+    document.querySelectorAll('[data-action="reset-profile"]').forEach(btn => { // Footer "Reset personalization"
+        btn.addEventListener('click', resetVisitorProfile); // Forget everything
+    }); // End reset buttons
+    const banner = document.getElementById('resumeBanner'); // "Continue where you left off"
+    if (banner) banner.addEventListener('click', handleResumeBannerClick); // Continue / dismiss
+
+    renderPersonalization(); // Cards, CTAs
+    preselectInterestFields(); // Empty dropdowns
+    renderResumeBanner(); // Returning visitor
+} // End initializePersonalization
+
+/**
+ * @returns {boolean} whether the profile may be read and written
+ */
+function canPersonalize() { // Consent gate
+    return analyticsState.consent === 'granted'; // Same choice as analytics
+} // End canPersonalize
+
+/**
+ * @returns {{interests: Object<string, number>, declared: Object<string, string>, sections: Object<string, number>, lastRoute: ?string, updatedAt: ?string}}
+ */
+function createVisitorProfile() { // Empty profile
+    return { interests: {}, declared: {}, sections: {}, lastRoute: null, updatedAt: null }; // Nothing known yet
+} // End createVisitorProfile
+
+/**
+ * @returns {ReturnType<typeof createVisitorProfile>} stored profile (empty when missing / corrupt)
+ */
+function readVisitorProfile() { // Load profile
+    try { // Storage may be unavailable / corrupt
+        const stored = JSON.parse(localStorage.getItem(PERSONALIZATION_CONFIG.storageKey)); // Parse record
+        if (stored && typeof stored === 'object') return Object.assign(createVisitorProfile(), stored); // Fill missing fields
+    } catch (err) { /* fall through */ } // Start fresh
+    return createVisitorProfile(); // Empty
+} // End readVisitorProfile
+
+/**
+ * Applies a change to the profile and saves it. Ignored without consent.
+ * @param {function(ReturnType<typeof createVisitorProfile>): void} change
+ */
+function updateVisitorProfile(change) { // Record something
+    if (!canPersonalize()) return; // No consent, no profile
+    const profile = personalizationState.profile || (personalizationState.profile = createVisitorProfile()); // Current profile
+    change(profile); // Mutate
+    profile.updatedAt = new Date().toISOString(); // Freshness
+    try { localStorage.setItem(PERSONALIZATION_CONFIG.storageKey, JSON.stringify(profile)); } catch (err) { /* storage unavailable */ } // Persist
+} // End updateVisitorProfile
+
+/**
+ * Deletes the stored profile.
+ */
+function removeVisitorProfile() { // Forget profile
+    personalizationState.profile = null; // In memory
+    try { localStorage.removeItem(PERSONALIZATION_CONFIG.storageKey); } catch (err) { /* storage unavailable */ } // Stored copy
+} // End removeVisitorProfile
+
+/**
+ * Footer control: clears the profile and puts the page back to defaults.
+ */
+function resetVisitorProfile() { // Reset on request
+    removeVisitorProfile(); // Forget
+    clearPersonalization(); // Defaults
+    announce(t('personalize.resetDone')); // Confirm
+    trackEvent('profile_reset'); // Analytics
+} // End resetVisitorProfile
+
+/**
+ * Consent changed: declining deletes the profile and undoes the
+ * personalisation; accepting starts recording from now on.
+ * @param {CustomEvent} e - detail: {status}
+ */
+function handlePersonalizationConsent(e) { // consentchange listener
+    if (e.detail.status === 'granted') { // Opted in
+        personalizationState.profile = readVisitorProfile(); // Resume any earlier profile
+        renderPersonalization(); // Apply it
+        return; // Done
+    } // End granted branch
+    removeVisitorProfile(); // Opted out
+    clearPersonalization(); // Defaults
+} // End handlePersonalizationConsent
+
+/**
+ * Records interests picked in the info request / application selects and
+ * categories selected in the program explorer.
+ * @param {Event} e - delegated change event
+ */
+function recordDeclaredInterest(e) { // change listener
+    const field = e.target; // Changed control
+    if (field.id === 'riInterest' || field.id === 'program') { // Declared in a form
+        updateVisitorProfile(profile => { // Remember (empty = cleared)
+            const key = field.id === 'riInterest' ? 'interest' : 'program'; // Profile field
+            if (field.value) profile.declared[key] = field.value; // Store value
+            else delete profile.declared[key]; // Cleared
+        }); // End update
+        field.removeAttribute('data-personalized'); // Visitor's own choice now
+    } else if (field.dataset.facet === 'category' && field.checked) { // Explorer filter
+        updateVisitorProfile(profile => { profile.interests[field.value] = (profile.interests[field.value] || 0) + 1; }); // Browsing signal
+    } else { // Anything else
+        return; // Not an interest
+    } // End branches
+    renderPersonalization(); // Reflect the new interest
+} // End recordDeclaredInterest
+
+/**
+ * Records the category of programs added to the comparison.
+ * @param {MouseEvent} e - delegated click (runs after the tray handler)
+ */
+function recordCompareInterest(e) { // click listener
+    const toggle = e.target.closest('[data-action="toggle-compare"]'); // Card compare button
+    if (!toggle || !programCompareState.selected.includes(toggle.dataset.programId)) return; // Not an addition
+    const card = toggle.closest('.program-item'); // Owning card
+    const category = card && card.dataset.category; // Program category
+    if (!category) return; // Unknown card
+    updateVisitorProfile(profile => { profile.interests[category] = (profile.interests[category] || 0) + 1; }); // Browsing signal
+    renderPersonalization(); // Reflect the new interest
+} // End recordCompareInterest
+
+/**
+ * Counts a section view and remembers it (with its active tab) as the place
+ * to continue from.
+ * @param {string} id - section id
+ */
+function recordSectionVisit(id) { // sectionchange listener
+    updateVisitorProfile(profile => { // Remember
+        profile.sections[id] = (profile.sections[id] || 0) + 1; // Views
+        if (id !== 'home') profile.lastRoute = getSectionRoute(id); // Top of the page isn't worth resuming
+    }); // End update
+} // End recordSectionVisit
+
+/**
+ * Keeps the remembered route in sync with tab switches in that section.
+ * @param {Event} e - Bootstrap shown.bs.tab
+ */
+function recordTabVisit(e) { // shown.bs.tab listener
+    const section = e.target.closest('section[id]'); // Owning section
+    if (!section || !personalizationState.profile || personalizationState.profile.lastRoute === null) return; // Nothing recorded yet
+    if (personalizationState.profile.lastRoute.split('/')[0] !== `#${section.id}`) return; // Visitor is elsewhere
+    updateVisitorProfile(profile => { profile.lastRoute = getSectionRoute(section.id); }); // Include the new pane
+} // End recordTabVisit
+
+/**
+ * @param {string} id - section id
+ * @returns {string} route hash, including the active pill / tab pane (e.g. '#student-life/housing')
+ */
+function getSectionRoute(id) { // Section → route
+    const section = document.getElementById(id); // Section element
+    const tab = section && section.querySelector('.nav-link.active[data-bs-toggle="pill"], .nav-link.active[data-bs-toggle="tab"]'); // Active pane button
+    const pane = tab && tab.getAttribute('data-bs-target'); // '#housing'
+    return pane ? `#${id}/${pane.slice(1)}` : `#${id}`; // Route hash
+} // End getSectionRoute
+
+/**
+ * @returns {string[]} up to maxInterests program categories, strongest first
+ */
+function getTopInterests() { // Ranked interests
+    const profile = personalizationState.profile; // Current profile
+    if (!profile) return []; // Personalisation off
+    const scores = { ...profile.interests }; // Browsing signals
+    Object.values(profile.declared).forEach(value => { // Form choices weigh more
+        const category = findInterestCategory(value); // Value → category
+        if (category) scores[category] = (scores[category] || 0) + PERSONALIZATION_CONFIG.declaredWeight; // Boost
+    }); // End declared loop
+    return Object.keys(scores) // Categories
+        .filter(category => category in PERSONALIZATION_INTERESTS && scores[category] >= PERSONALIZATION_CONFIG.minInterestScore) // Known + strong enough
+        .sort((a, b) => scores[b] - scores[a]) // Strongest first
+        .slice(0, PERSONALIZATION_CONFIG.maxInterests); // Keep it focused
+} // End getTopInterests
+
+/**
+ * @param {string} value - riInterest or program option value
+ * @returns {?string} program category it belongs to
+ */
+function findInterestCategory(value) { // Dropdown value → category
+    return Object.keys(PERSONALIZATION_INTERESTS).find(category => { // First match wins
+        const { interest, program } = PERSONALIZATION_INTERESTS[category]; // Values per category
+        return interest.includes(value) || program.includes(value); // Match either select
+    }) || null; // Unmapped ("Other", "Education")
+} // End findInterestCategory
+
+/**
+ * Applies the profile to the program cards and hero CTAs.
+ */
+function renderPersonalization() { // Profile → page
+    const interests = getTopInterests(); // Strongest categories
+    renderRecommendedPrograms(interests); // Cards
+    renderHeroCallsToAction(interests[0]); // CTAs
+} // End renderPersonalization
+
+/**
+ * Moves cards of the given categories to the front of the grid (keeping
+ * their relative order) and badges them; other cards keep the data order.
+ * @param {string[]} interests - categories, strongest first
+ */
+function renderRecommendedPrograms(interests) { // Reorder + highlight cards
+    const grid = document.getElementById('programsGrid'); // Card grid
+    if (!grid) return; // Markup missing
+    const cards = Array.from(grid.querySelectorAll('.program-item')); // Current order
+    cards.forEach((card, index) => { if (!card.dataset.order) card.dataset.order = index; }); // Remember data order once
+    const rank = card => { // Sort key
+        const position = interests.indexOf(card.dataset.category); // Interest rank
+        return (position === -1 ? interests.length : position) * 1000 + Number(card.dataset.order); // Interests first, then data order
+    }; // End rank
+    cards.sort((a, b) => rank(a) - rank(b)).forEach(card => { // New order
+        const recommended = interests.includes(card.dataset.category); // Matches an interest?
+        card.classList.toggle('is-recommended', recommended); // Highlight
+        let badge = card.querySelector('.program-match-badge'); // Existing badge
+        if (recommended && !badge) { // Add badge
+            badge = document.createElement('span'); // Badge element
+            badge.className = 'program-match-badge'; // Styling
+            translateElement(badge, 'personalize.matchBadge'); // Follows language changes
+            card.querySelector('.pi-body').prepend(badge); // Above the title
+        } else if (!recommended && badge) { // No longer matching
+            badge.remove(); // Drop badge
+        } // End badge branches
+        grid.appendChild(card); // Move into place (no-op when already there)
+    }); // End cards loop
+} // End renderRecommendedPrograms
+
+/**
+ * Swaps the hero CTA copy: "Continue your application" once a draft
+ * exists, "Explore {category} programs" for a known interest.
+ * @param {string} [interest] - strongest category
+ */
+function renderHeroCallsToAction(interest) { // Hero copy
+    const apply = document.querySelector('#home [data-track-cta="apply"]'); // Primary CTA
+    const explore = document.querySelector('#home [data-track-cta="explore-programs"]'); // Secondary CTA
+    let hasDraft = false; // Application in progress?
+    try { hasDraft = Boolean(localStorage.getItem(APPLICATION_DRAFT_KEY)); } catch (err) { /* storage unavailable */ } // Wizard draft
+    if (apply) translateElement(apply, personalizationState.profile && hasDraft ? 'personalize.continueApplication' : 'common.applyNow'); // Apply / continue
+    if (explore) translateElement(explore, personalizationState.profile && interest ? 'personalize.exploreInterest' : 'hero.explorePrograms', // Generic / interest
+        interest ? { category: t(`explorer.category.${interest}`) } : undefined); // Localised category name
+} // End renderHeroCallsToAction
+
+/**
+ * Fills the info request interest and application program selects from the
+ * profile when the visitor hasn't chosen anything yet.
+ */
+function preselectInterestFields() { // Pre-select dropdowns
+    const profile = personalizationState.profile; // Current profile
+    if (!profile) return; // Personalisation off
+    const [interest] = getTopInterests(); // Strongest category
+    const fill = (id, declared, key) => { // One select
+        const select = document.getElementById(id); // Target select
+        const value = declared || (interest ? PERSONALIZATION_INTERESTS[interest][key][0] : ''); // Declared value wins
+        if (!select || select.value || !value || !Array.from(select.options).some(option => option.value === value)) return; // Filled / nothing to suggest
+        select.value = value; // Pre-select
+        select.setAttribute('data-personalized', ''); // Undone on reset unless the visitor changes it
+    }; // End fill
+    fill('riInterest', profile.declared.interest, 'interest'); // Info request form
+    fill('program', profile.declared.program, 'program'); // Application wizard
+} // End preselectInterestFields
+
+/**
+ * Shows "Continue where you left off" on the first page view of a session
+ * when the profile remembers a section and the visitor didn't arrive
+ * through a deep link.
+ */
+function renderResumeBanner() { // Returning visitor banner
+    const banner = document.getElementById('resumeBanner'); // Banner element
+    let seen = true; // Banner already considered this session?
+    try { // Storage may be unavailable
+        seen = sessionStorage.getItem(PERSONALIZATION_CONFIG.sessionKey) === '1'; // Flag
+        sessionStorage.setItem(PERSONALIZATION_CONFIG.sessionKey, '1'); // Only the first page view
+    } catch (err) { /* treat as seen */ } // No session storage: don't nag on every load
+    const profile = personalizationState.profile; // Current profile
+    const route = profile && profile.lastRoute && parseRoute(profile.lastRoute); // Still on the page?
+    if (!banner || seen || !route || window.location.hash) return; // Nothing to offer / deep link wins
+
+    const sectionId = profile.lastRoute.slice(1).split('/')[0]; // 'student-life'
+    const link = document.querySelector(`.navbar-nav .nav-link[href="#${sectionId}"]`); // Navbar label
+    translateElement(document.getElementById('resumeBannerText'), 'personalize.welcomeBack', { section: link ? link.textContent.trim() : sectionId }); // Copy
+    banner.hidden = false; // Show
+} // End renderResumeBanner
+
+/**
+ * Banner actions: continue to the remembered route, or dismiss.
+ * @param {MouseEvent} e
+ */
+function handleResumeBannerClick(e) { // Banner buttons
+    const action = e.target.closest('[data-action]'); // Clicked action
+    if (!action) return; // Other click
+    const banner = document.getElementById('resumeBanner'); // Banner element
+    if (action.dataset.action === 'resume-profile' && personalizationState.profile) { // Continue
+        const hash = personalizationState.profile.lastRoute; // Remembered route
+        const route = parseRoute(hash); // Resolve
+        if (route) { // Still exists
+            pushRoute(hash); // Shareable URL + back button
+            applyRoute(route); // Tab + scroll
+            focusWithoutScroll(route.target); // Keyboard users continue there
+        } // End route branch
+        trackEvent('profile_resume', { route: hash }); // Analytics
+    } // End continue branch
+    banner.hidden = true; // Either way the banner is done
+} // End handleResumeBannerClick
+
+/**
+ * Undoes the personalisation: data order, default CTAs, untouched
+ * pre-selections cleared and the banner hidden.
+ */
+function clearPersonalization() { // Back to defaults
+    renderPersonalization(); // No profile → no interests → defaults
+    document.querySelectorAll('select[data-personalized]').forEach(select => { // Untouched pre-selections
+        select.value = ''; // Placeholder option
+        select.removeAttribute('data-personalized'); // Done
+    }); // End selects loop
+    const banner = document.getElementById('resumeBanner'); // Banner element
+    if (banner) banner.hidden = true; // Nothing to continue
+} // End clearPersonalization
@@ -0,0 +1,233 @@
+/**
+ * Side-by-side program comparison. Every `.program-item` card carries an
+ * "Add to compare" toggle; up to PROGRAM_COMPARE_LIMIT selections collect
+ * in a tray under the grid and open a comparison table (levels, sample
+ * majors, campuses and the matching Cost & Aid tuition rows). The
+ * selection is saved in localStorage and mirrored into `?compare=…` so a
+ * comparison can be shared as a link; a link takes precedence over the
+ * saved selection.
+ */
+const PROGRAM_COMPARE_LIMIT = 3; // Maximum programs side by side
+const PROGRAM_COMPARE_KEY = 'ru.programCompare'; // localStorage key for the selection
+
+const programCompareState = { // Current comparison
+    selected: [] // Program ids in selection order
+}; // End programCompareState
+
+/**
+ * Restores the selection (URL first, then storage) and binds the card
+ * toggles, tray and modal actions.
+ */
+function initializeProgramCompare() { // Setup program comparison
+    const tray = document.getElementById('compareTray'); // Selection tray
+    if (!tray) return; // Markup missing
+
+    const fromUrl = new URLSearchParams(window.location.search).get('compare'); // Shared link
+    const saved = fromUrl !== null ? fromUrl.split(',') : readStoredCompareSelection(); // Link wins over storage
+    const available = getProgramCards().map(card => card.dataset.programId); // Rendered programs
+    programCompareState.selected = saved // Sanitise
+        .map(id => id.trim()) // Trim whitespace
+        .filter((id, index, list) => available.includes(id) && list.indexOf(id) === index) // Known + unique
+        .slice(0, PROGRAM_COMPARE_LIMIT); // Respect limit
+
+    document.getElementById('programs').addEventListener('click', e => { // Delegated actions
+        const toggle = e.target.closest('[data-action="toggle-compare"]'); // Card toggle
+        if (toggle) toggleProgramCompare(toggle.dataset.programId); // Add / remove
+        const remove = e.target.closest('[data-action="remove-compare"]'); // Tray chip remove
+        if (remove) toggleProgramCompare(remove.dataset.programId); // Remove
+        if (e.target.closest('[data-action="clear-compare"]')) clearProgramCompare(); // Clear all
+        if (e.target.closest('[data-action="open-compare"]')) openProgramComparison(); // Show table
+    }); // End click handler
+
+    const modal = document.getElementById('compareModal'); // Comparison modal
+    if (modal) modal.addEventListener('click', e => { // Modal actions
+        const remove = e.target.closest('[data-action="remove-compare"]'); // Column remove
+        if (remove) { // Drop a column
+            toggleProgramCompare(remove.dataset.programId); // Update selection
+            if (programCompareState.selected.length) renderComparisonTable(); // Re-render remaining columns
+            else bootstrap.Modal.getOrCreateInstance(modal).hide(); // Nothing left to compare
+        } // End remove
+        if (e.target.closest('[data-action="copy-compare-link"]')) copyComparisonLink(); // Share link
+    }); // End modal click handler
+
+    document.addEventListener('localechange', () => { // Toggle, tray and table copy follow the language
+        syncProgramCompare({ updateUrl: false }); // Toggles + tray
+        if (modal && modal.classList.contains('show') && programCompareState.selected.length) renderComparisonTable(); // Open table
+    }); // End localechange listener
+
+    syncProgramCompare({ updateUrl: fromUrl !== null || programCompareState.selected.length > 0 }); // Paint restored state
+} // End initializeProgramCompare
+
+/**
+ * Adds or removes a program, refusing additions beyond the limit.
+ * @param {string} id - program id
+ */
+function toggleProgramCompare(id) { // Toggle one program
+    const selected = programCompareState.selected; // Current list
+    if (selected.includes(id)) { // Already selected
+        programCompareState.selected = selected.filter(item => item !== id); // Remove
+    } else if (selected.length >= PROGRAM_COMPARE_LIMIT) { // Full
+        showSuccessMessage(t('compare.limit', { limit: PROGRAM_COMPARE_LIMIT }), 'error'); // Explain limit
+        return; // No change
+    } else { // Room left
+        programCompareState.selected = selected.concat(id); // Add
+    } // End branches
+    syncProgramCompare(); // Persist + repaint
+    announce(document.getElementById('compareCount').textContent); // "2 of 3 selected"
+} // End toggleProgramCompare
+
+/**
+ * Empties the selection.
+ */
+function clearProgramCompare() { // Reset selection
+    programCompareState.selected = []; // Nothing selected
+    syncProgramCompare(); // Persist + repaint
+} // End clearProgramCompare
+
+/**
+ * Persists the selection (storage + URL) and repaints the toggles and tray.
+ * @param {{updateUrl?: boolean}} [options]
+ */
+function syncProgramCompare(options = {}) { // Persist + repaint
+    const selected = programCompareState.selected; // Current list
+    try { // Storage may be unavailable
+        localStorage.setItem(PROGRAM_COMPARE_KEY, JSON.stringify(selected)); // Survive reloads
+    } catch (err) { // Private mode / quota
+        console.warn('Unable to save comparison', err); // URL still carries it
+    } // End try/catch
+    if (options.updateUrl !== false) updateUrlParams({ compare: selected.join(',') }); // Shareable link
+
+    document.querySelectorAll('[data-action="toggle-compare"]').forEach(toggle => { // Card toggles
+        const active = selected.includes(toggle.dataset.programId); // Selected?
+        toggle.setAttribute('aria-pressed', String(active)); // Toggle state for AT
+        toggle.classList.toggle('active', active); // Visual state
+        toggle.querySelector('i').className = `bi ${active ? 'bi-check-lg' : 'bi-plus-lg'}`; // Icon
+        toggle.querySelector('.compare-toggle-label').textContent = t(active ? 'compare.added' : 'compare.add'); // Label
+    }); // End toggles loop
+    renderCompareTray(); // Tray contents
+} // End syncProgramCompare
+
+/**
+ * Renders the tray chips, count and button state.
+ */
+function renderCompareTray() { // Tray template
+    const tray = document.getElementById('compareTray'); // Tray element
+    const selected = programCompareState.selected; // Current list
+    tray.hidden = selected.length === 0; // Only while something is selected
+    document.getElementById('compareCount').textContent = t('compare.count', { count: selected.length, limit: PROGRAM_COMPARE_LIMIT }); // Count copy
+    document.getElementById('compareChips').innerHTML = selected.map(id => { // One chip per program
+        const title = getCompareProgramTitle(id); // Display name
+        return `<li class="compare-chip">${escapeHtml(title)}
+            <button type="button" class="btn-close btn-close-sm" data-action="remove-compare" data-program-id="${escapeHtml(id)}"
+                aria-label="${escapeHtml(t('compare.remove', { title }))}"></button>
+        </li>`; // Chip markup
+    }).join(''); // Concatenate
+    const open = document.getElementById('compareOpenBtn'); // Compare button
+    open.disabled = selected.length < 2; // Need at least two
+    open.title = selected.length < 2 ? t('compare.minHint') : ''; // Hint
+} // End renderCompareTray
+
+/**
+ * Renders the comparison table and opens the modal.
+ */
+function openProgramComparison() { // Show comparison
+    if (programCompareState.selected.length < 2) return; // Nothing to compare
+    renderComparisonTable(); // Build table
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('compareModal')).show(); // Open modal
+    trackEvent('program_compare', { programs: programCompareState.selected.join(',') }); // Analytics
+} // End openProgramComparison
+
+/**
+ * Builds the side-by-side table from the program cards, the campus data
+ * and the rendered Cost & Aid tuition rows.
+ */
+function renderComparisonTable() { // Comparison table template
+    const programs = programCompareState.selected.map(getCompareProgramDetails).filter(Boolean); // Column data
+    const row = (label, cell) => `<tr><th scope="row">${label}</th>${programs.map(program => `<td>${cell(program)}</td>`).join('')}</tr>`; // Row builder
+    const list = items => items.length // Bulleted cell
+        ? `<ul class="list-unstyled mb-0">${items.map(item => `<li>${item}</li>`).join('')}</ul>` // List markup
+        : '<span class="text-muted">—</span>'; // Empty marker
+
+    document.getElementById('compareTableWrap').innerHTML = `<table class="table compare-table align-top">
+        <caption class="visually-hidden">${escapeHtml(t('compare.caption', { programs: programs.map(program => program.title).join(', ') }))}</caption>
+        <thead>
+            <tr>
+                <td></td>
+                ${programs.map(program => `<th scope="col">
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                        <span><i class="bi ${escapeHtml(program.icon)} text-primary me-1" aria-hidden="true"></i>${escapeHtml(program.title)}</span>
+                        <button type="button" class="btn-close btn-close-sm" data-action="remove-compare" data-program-id="${escapeHtml(program.id)}"
+                            aria-label="${escapeHtml(t('compare.remove', { title: program.title }))}"></button>
+                    </div>
+                </th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${row(escapeHtml(t('compare.rowLevels')), program => list(program.levels.map(level => escapeHtml(getFacetLabel('level', level)))))}
+            ${row(escapeHtml(t('compare.rowMajors')), program => list(program.majors.map(escapeHtml)))}
+            ${row(escapeHtml(t('compare.rowCampus')), program => list(program.campuses.map(escapeHtml)))}
+            ${row(escapeHtml(t('compare.rowTuition')), program => list(program.tuition.map(tuition => // Matching table rows
+                `${escapeHtml(tuition.label)}: <strong>${escapeHtml(tuition.inState)}</strong> / ${escapeHtml(tuition.outOfState)}`)))}
+        </tbody>
+    </table>`; // Table markup
+} // End renderComparisonTable
+
+/**
+ * Collects what the comparison shows for one program, straight from its
+ * card so the table always matches what is on the page.
+ * @param {string} id - program id
+ * @returns {?{id: string, title: string, icon: string, levels: string[], majors: string[], campuses: string[], tuition: Array<Object>}}
+ */
+function getCompareProgramDetails(id) { // Card → comparison data
+    const card = getProgramCards().find(item => item.dataset.programId === id); // Program card
+    if (!card) return null; // Not rendered
+    const levels = getCardFacetValues(card, 'level'); // data-level values
+    const campusNames = Object.fromEntries(((contentCache.campuses || {}).campuses || []).map(campus => [campus.id, campus.name])); // Campus id → name
+    return { // Column data
+        id, // Program id
+        title: getCompareProgramTitle(id), // Display name
+        icon: (card.querySelector('.pi-icon i').className.match(/bi-[\w-]+/) || ['bi-mortarboard'])[0], // Card icon
+        levels, // Levels offered
+        majors: Array.from(card.querySelectorAll('.pi-list li'), item => item.textContent.trim()), // Sample majors
+        campuses: getCardFacetValues(card, 'campus').map(campus => campusNames[campus] || getFacetLabel('campus', campus)), // Campus names
+        tuition: levels.map(level => document.querySelector(`[data-tuition-level="${level}"]`)).filter(Boolean).map(tr => ({ // Cost & Aid rows
+            label: tr.cells[0].textContent.trim(), // Row label
+            inState: tr.cells[1].textContent.trim(), // In-state cell
+            outOfState: tr.cells[2].textContent.trim() // Out-of-state cell
+        })) // End tuition rows
+    }; // End details
+} // End getCompareProgramDetails
+
+/**
+ * @param {string} id - program id
+ * @returns {string} card heading (falls back to the id)
+ */
+function getCompareProgramTitle(id) { // Program display name
+    const card = getProgramCards().find(item => item.dataset.programId === id); // Program card
+    const title = card && card.querySelector('.pi-title'); // Heading element
+    return title ? title.textContent.trim() : id; // Heading text
+} // End getCompareProgramTitle
+
+/**
+ * @returns {string[]} saved selection (empty when missing or corrupt)
+ */
+function readStoredCompareSelection() { // Load saved selection
+    try { // Storage may be unavailable / corrupt
+        const stored = JSON.parse(localStorage.getItem(PROGRAM_COMPARE_KEY)); // Parse saved list
+        return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : []; // Validate
+    } catch (err) { // Unreadable
+        return []; // Start empty
+    } // End try/catch
+} // End readStoredCompareSelection
+
+/**
+ * Copies a link that reopens this comparison.
+ */
+async function copyComparisonLink() { // Share comparison
+    const url = new URL(window.location.href); // Current URL (already carries ?compare=)
+    url.hash = 'programs'; // Land on the programs section
+    const copied = await copyTextToClipboard(url.toString().replace(/%2C/gi, ',')); // Clipboard helper (script.js)
+    showSuccessMessage(t(copied // Outcome-specific copy
+        ? 'compare.linkCopied' // Confirmation
+        : 'compare.linkFailed'), copied ? 'success' : 'error'); // Failure
+} // End copyComparisonLink
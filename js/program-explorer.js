@@ -0,0 +1,270 @@
+/**
+ * Program explorer for #programs: free-text search plus combinable
+ * category and level facets over the `.program-item` cards. Facet values
+ * are read from each card's `data-category` / `data-level` attributes so
+ * new cards are picked up automatically. The active filters are mirrored
+ * into the query string (`?q=…&category=…&level=…`) so a filtered view
+ * can be shared as a link. Facet display names come from the message
+ * catalogs (`explorer.category.*`, `explorer.level.*`).
+ */
+const programExplorerState = { // Current filter selection
+    query: '', // Free-text search
+    category: [], // Selected categories (OR within facet)
+    level: [] // Selected levels (OR within facet)
+}; // End programExplorerState
+
+/**
+ * Builds the facet controls, restores filters from the URL and binds the
+ * search / facet / clear handlers.
+ */
+function initializeProgramExplorer() { // Setup program explorer
+    const explorer = document.getElementById('programExplorer'); // Explorer container
+    if (!explorer) return; // Markup missing
+
+    readProgramFiltersFromUrl(); // Shared links pre-select filters
+    renderProgramFacets(); // Build checkbox chips from card data
+
+    const search = document.getElementById('programSearch'); // Search input
+    if (search) { // Bind search box
+        search.value = programExplorerState.query; // Restore query from URL
+        search.addEventListener('input', debounce(() => { // Debounce typing
+            programExplorerState.query = search.value.trim(); // Update state
+            applyProgramFilters(); // Refresh results
+        }, 200)); // 200ms debounce
+    } // End search binding
+
+    explorer.addEventListener('change', e => { // Delegated facet handler
+        const facet = e.target.dataset.facet; // Facet name on checkbox
+        if (!facet) return; // Not a facet checkbox
+        const selected = programExplorerState[facet]; // Current selection list
+        programExplorerState[facet] = e.target.checked // Toggle value
+            ? selected.concat(e.target.value) // Add value
+            : selected.filter(value => value !== e.target.value); // Remove value
+        applyProgramFilters(); // Refresh results
+    }); // End change handler
+
+    document.querySelectorAll('[data-action="clear-program-filters"]').forEach(btn => { // Clear buttons
+        btn.addEventListener('click', clearProgramFilters); // Reset everything
+    }); // End clear buttons
+
+    document.addEventListener('localechange', () => { // Chip labels + summary follow the language
+        renderProgramFacets(); // Rebuild chips (selection comes from state)
+        applyProgramFilters({ updateUrl: false }); // Counts + summary copy
+    }); // End localechange listener
+
+    applyProgramFilters({ updateUrl: false }); // Initial render without rewriting the URL
+} // End initializeProgramExplorer
+
+/**
+ * @returns {HTMLElement[]} all program cards
+ */
+function getProgramCards() { // Collect program cards
+    return Array.from(document.querySelectorAll('#programs .program-item')); // NodeList → Array
+} // End getProgramCards
+
+/**
+ * @param {HTMLElement} card
+ * @param {'category'|'level'} facet
+ * @returns {string[]} facet values carried by a card
+ */
+function getCardFacetValues(card, facet) { // Read data attribute values
+    return (card.getAttribute(`data-${facet}`) || '').split(/\s+/).filter(Boolean); // Space separated list
+} // End getCardFacetValues
+
+/**
+ * Renders one checkbox chip per distinct category / level found on cards.
+ */
+function renderProgramFacets() { // Build facet chips
+    document.querySelectorAll('#programExplorer [data-facet-group]').forEach(group => { // Each facet container
+        const facet = group.getAttribute('data-facet-group'); // 'category' or 'level'
+        const values = []; // Distinct values in card order
+        getProgramCards().forEach(card => getCardFacetValues(card, facet).forEach(value => { // Walk cards
+            if (!values.includes(value)) values.push(value); // Keep first occurrence
+        })); // End cards loop
+        group.innerHTML = ''; // Reset chips
+        values.forEach(value => { // One chip per value
+            const id = `facet-${facet}-${value}`; // Unique id for label
+            const input = document.createElement('input'); // Checkbox
+            input.type = 'checkbox'; // Multi-select
+            input.className = 'btn-check'; // Bootstrap toggle button
+            input.id = id; // Link to label
+            input.value = value; // Facet value
+            input.dataset.facet = facet; // Used by delegated handler
+            input.checked = programExplorerState[facet].includes(value); // Restore selection
+            const label = document.createElement('label'); // Visible chip
+            label.className = 'btn btn-outline-primary btn-sm facet-chip'; // Chip styling
+            label.htmlFor = id; // Toggle checkbox
+            label.textContent = getFacetLabel(facet, value); // Display name
+            const count = document.createElement('span'); // Result count badge
+            count.className = 'facet-count'; // Styling hook
+            count.dataset.countFor = value; // Lookup key for updates
+            label.appendChild(count); // Badge inside chip
+            group.append(input, label); // Add chip
+        }); // End values loop
+    }); // End groups loop
+} // End renderProgramFacets
+
+/**
+ * @param {'category'|'level'} facet
+ * @param {string} value
+ * @returns {string} human readable facet label
+ */
+function getFacetLabel(facet, value) { // Resolve display label
+    const key = `explorer.${facet}.${value}`; // Catalog key
+    if (hasTranslation(key)) return t(key); // Configured label
+    return value.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()); // Title-case fallback
+} // End getFacetLabel
+
+/**
+ * Applies the current explorer state: shows matching cards, updates facet
+ * counts, result summary, empty state and (optionally) the URL.
+ * @param {{updateUrl?: boolean}} [options]
+ */
+function applyProgramFilters(options = {}) { // Refresh explorer results
+    const visible = filterPrograms(programExplorerState); // Show / hide cards
+    updateFacetCounts(); // Refresh per-chip counts
+    const total = getProgramCards().length; // All cards
+    const summary = document.getElementById('programResultCount'); // Result text
+    if (summary) summary.textContent = visible === total ? t('explorer.showingAll', { total }) : t('explorer.showing', { visible, total }); // Copy
+    if (summary && options.updateUrl !== false) announce(summary.textContent); // Read out results of visitor changes only
+    const empty = document.getElementById('programsEmpty'); // Empty state
+    if (empty) empty.classList.toggle('d-none', visible > 0); // Only when nothing matches
+    const active = hasActiveProgramFilters(); // Any filter set
+    document.querySelectorAll('[data-action="clear-program-filters"]').forEach(btn => { btn.hidden = !active; }); // Clear buttons only when useful
+    if (options.updateUrl !== false) writeProgramFiltersToUrl(); // Shareable state
+} // End applyProgramFilters
+
+/**
+ * Client-side filter for program cards. Accepts explorer criteria
+ * (`{query, category: [], level: []}`) or, for backwards compatibility, a
+ * single category string where 'all' shows everything.
+ * @param {Object|string} criteria
+ * @returns {number} number of visible cards
+ */
+function filterPrograms(criteria) { // Filter program cards
+    const normalized = typeof criteria === 'string' // Legacy single-category call
+        ? { query: '', category: criteria === 'all' ? [] : [criteria], level: [] } // Map to explorer shape
+        : criteria; // Already explorer criteria
+    let visible = 0; // Visible counter
+    getProgramCards().forEach(card => { // Loop each card
+        const matches = programMatches(card, normalized); // Determine if card matches filter
+        card.style.display = matches ? '' : 'none'; // Show or hide based on match
+        if (matches) visible++; // Count visible
+    }); // End forEach
+    return visible; // Report visible count
+} // End filterPrograms
+
+/**
+ * @param {HTMLElement} card
+ * @param {{query?: string, category?: string[], level?: string[]}} criteria
+ * @param {string} [ignoreFacet] - facet to leave out (for facet counts)
+ * @returns {boolean} whether the card satisfies every active filter
+ */
+function programMatches(card, criteria, ignoreFacet) { // Match one card
+    const facetsOk = ['category', 'level'].every(facet => { // AND across facets
+        const selected = criteria[facet] || []; // Selected values
+        if (facet === ignoreFacet || !selected.length) return true; // Facet inactive
+        return getCardFacetValues(card, facet).some(value => selected.includes(value)); // OR within facet
+    }); // End facets check
+    if (!facetsOk) return false; // Early exit
+    const terms = normalizeSearchText(criteria.query || '').split(/\s+/).filter(Boolean); // Search terms
+    if (!terms.length) return true; // No query
+    const haystack = getProgramSearchText(card); // Searchable card text
+    return terms.every(term => haystack.includes(term)); // All terms must appear
+} // End programMatches
+
+/**
+ * Searchable text for a card: title, description, majors and facet labels.
+ * @param {HTMLElement} card
+ * @returns {string}
+ */
+function getProgramSearchText(card) { // Build search haystack
+    const parts = ['.pi-title', '.pi-text', '.pi-list'].map(sel => { // Content selectors
+        const el = card.querySelector(sel); // Matching element
+        return el ? el.textContent : ''; // Text or empty
+    }); // End map
+    getCardFacetValues(card, 'category').forEach(value => parts.push(getFacetLabel('category', value))); // Include area names
+    return normalizeSearchText(parts.join(' ')); // Normalised haystack
+} // End getProgramSearchText
+
+/**
+ * Lower-cases and strips diacritics so "pena" matches "Peña".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) { // Normalise for matching
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase(); // Remove accents + case
+} // End normalizeSearchText
+
+/**
+ * Updates each chip's count: how many cards would match if that value
+ * were (also) selected, given the query and the other facet's selection.
+ */
+function updateFacetCounts() { // Refresh facet counts
+    document.querySelectorAll('#programExplorer [data-facet-group]').forEach(group => { // Each facet
+        const facet = group.getAttribute('data-facet-group'); // Facet name
+        const candidates = getProgramCards().filter(card => programMatches(card, programExplorerState, facet)); // Ignore own facet
+        group.querySelectorAll('[data-count-for]').forEach(badge => { // Each chip badge
+            const value = badge.dataset.countFor; // Facet value
+            const count = candidates.filter(card => getCardFacetValues(card, facet).includes(value)).length; // Matches for value
+            badge.textContent = count; // Update badge
+            const input = document.getElementById(`facet-${facet}-${value}`); // Related checkbox
+            if (input) input.disabled = count === 0 && !input.checked; // Disable dead-end chips
+        }); // End badges loop
+    }); // End groups loop
+} // End updateFacetCounts
+
+/**
+ * @returns {boolean} whether any search text or facet is active
+ */
+function hasActiveProgramFilters() { // Any filter set?
+    return !!programExplorerState.query || programExplorerState.category.length > 0 || programExplorerState.level.length > 0; // Check all parts
+} // End hasActiveProgramFilters
+
+/**
+ * Resets search + facets and shows every program.
+ */
+function clearProgramFilters() { // Reset explorer
+    programExplorerState.query = ''; // Clear query
+    programExplorerState.category = []; // Clear categories
+    programExplorerState.level = []; // Clear levels
+    const search = document.getElementById('programSearch'); // Search input
+    if (search) search.value = ''; // Empty box
+    document.querySelectorAll('#programExplorer [data-facet]').forEach(input => { input.checked = false; }); // Uncheck chips
+    applyProgramFilters(); // Refresh results
+    if (search) search.focus(); // Return focus to the start of the explorer
+} // End clearProgramFilters
+
+/**
+ * Reads `q`, `category` and `level` from the query string into state.
+ * Facet values no rendered card carries (stale or mistyped links) have no
+ * chip to clear them, so they are dropped and the URL is rewritten.
+ */
+function readProgramFiltersFromUrl() { // URL → state
+    const params = new URLSearchParams(window.location.search); // Parsed query string
+    const cards = getProgramCards(); // Rendered cards
+    let dropped = false; // Any unknown facet value?
+    const list = name => { // Comma list of known values
+        const known = new Set(cards.flatMap(card => getCardFacetValues(card, name))); // Values with a chip
+        const values = (params.get(name) || '').split(',').map(v => v.trim()).filter(Boolean); // Requested values
+        const kept = values.filter((value, index) => known.has(value) && values.indexOf(value) === index); // Known + unique
+        if (kept.length !== values.length) dropped = true; // URL needs fixing
+        return kept; // Usable selection
+    }; // End list
+    programExplorerState.query = (params.get('q') || '').trim(); // Search text
+    programExplorerState.category = list('category'); // Categories
+    programExplorerState.level = list('level'); // Levels
+    if (dropped) writeProgramFiltersToUrl(); // Shared link now matches what is shown
+} // End readProgramFiltersFromUrl
+
+/**
+ * Mirrors state into the query string (keeping other params and the hash)
+ * without adding history entries.
+ */
+function writeProgramFiltersToUrl() { // State → URL
+    updateUrlParams({ // Patch query string
+        q: programExplorerState.query, // Search text
+        category: programExplorerState.category.join(','), // Categories
+        level: programExplorerState.level.join(',') // Levels
+    }); // End params
+} // End writeProgramFiltersToUrl
@@ -0,0 +1,192 @@
+/**
+ * Hash router for the single-page layout. In-page links (`#section`) and
+ * pill / tab selections inside a section (`#section/pane`, e.g.
+ * `#student-life/housing`) become history entries, so views can be shared
+ * as links and back / forward return to the previous section at the
+ * scroll position it was left at. Scroll targets are offset by the fixed
+ * navbar's measured height, keyboard focus follows the link into the
+ * section, and an IntersectionObserver highlights the navbar link of the
+ * section in view (announced to other modules as a `sectionchange` event
+ * on `document`).
+ */
+const routerState = { // Navigation bookkeeping
+    observer: null, // Active-section IntersectionObserver
+    current: null, // Id of the section currently highlighted
+    sections: [], // Observed section[id] elements (document order)
+    visible: new Set() // Ids of sections inside the tracking band
+}; // End routerState
+
+/**
+ * Binds link / tab / history handlers. Runs before dynamic content loads so
+ * early clicks are routed too (targets are measured at click time).
+ */
+function initializeRouter() { // Setup hash routing
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual'; // Positions come from entry state
+
+    document.addEventListener('click', handleRouteLinkClick); // Delegated: covers links rendered later
+    document.addEventListener('shown.bs.tab', handleRouteTabShown); // Pill / tab selections
+    window.addEventListener('popstate', handleRoutePopState); // Back / forward + hand-edited hashes
+} // End initializeRouter
+
+/**
+ * Starts active-section tracking and applies the route in the URL. Runs
+ * after dynamic content has rendered so deep-link offsets and the tracking
+ * band are measured against the final layout.
+ */
+function initializeRouteTracking() { // Active section + deep link
+    window.addEventListener('resize', debounce(observeActiveSection, 200)); // Navbar height changes at breakpoints
+
+    observeActiveSection(); // Highlight the section in view
+    const route = parseRoute(window.location.hash); // Deep link?
+    if (route) applyRoute(route, { behavior: 'instant' }); // Land on it without animating from the top
+} // End initializeRouteTracking
+
+/**
+ * @param {string} hash - e.g. '#student-life/housing'
+ * @returns {?{target: HTMLElement, tab: ?HTMLElement}} element to scroll to and tab to select
+ */
+function parseRoute(hash) { // Hash → route
+    let path; // Decoded hash without '#'
+    try { // Malformed escapes throw
+        path = decodeURIComponent(String(hash || '').replace(/^#/, '')); // Strip marker
+    } catch (err) { // e.g. '#%E0'
+        return null; // Not a route
+    } // End try/catch
+    const [targetId, paneId] = path.split('/'); // Section + optional pane
+    const target = targetId ? document.getElementById(targetId) : null; // Ids avoid selector syntax errors ('#')
+    if (!target) return null; // Placeholder or unknown id
+    return { target, tab: paneId ? findRouteTab(target, paneId) : null }; // Resolved route
+} // End parseRoute
+
+/**
+ * @param {HTMLElement} section
+ * @param {string} paneId
+ * @returns {?HTMLElement} pill / tab button in the section that shows the pane
+ */
+function findRouteTab(section, paneId) { // Sub-route → tab button
+    return Array.from(section.querySelectorAll('[data-bs-toggle="pill"], [data-bs-toggle="tab"]')) // Tab buttons
+        .find(button => button.getAttribute('data-bs-target') === `#${paneId}`) || null; // Matching pane
+} // End findRouteTab
+
+/**
+ * Selects the route's tab and scrolls to its target (or to a saved
+ * position when returning through history).
+ * @param {ReturnType<typeof parseRoute>} route
+ * @param {{behavior?: ScrollBehavior, scrollY?: number}} [options]
+ */
+function applyRoute(route, { behavior = 'smooth', scrollY } = {}) { // Show a route
+    if (route && route.tab) bootstrap.Tab.getOrCreateInstance(route.tab).show(); // Select pane (no-op when active)
+    if (typeof scrollY === 'number') window.scrollTo({ top: scrollY, behavior: 'instant' }); // Exact saved position
+    else if (route) scrollToRouteTarget(route.target, behavior); // Section top below the navbar
+} // End applyRoute
+
+/**
+ * @param {HTMLElement} target
+ * @param {ScrollBehavior} [behavior]
+ */
+function scrollToRouteTarget(target, behavior = 'smooth') { // Offset scroll
+    const top = target.getBoundingClientRect().top + window.scrollY - getNavbarOffset(); // Clear the fixed navbar
+    window.scrollTo({ top: Math.max(0, Math.round(top)), behavior: prefersReducedMotion() ? 'instant' : behavior }); // Scroll page (jump with reduced motion)
+} // End scrollToRouteTarget
+
+/**
+ * @returns {number} rendered height of the fixed navbar in px
+ */
+function getNavbarOffset() { // Real navbar height
+    const navbar = document.querySelector('.navbar.fixed-top'); // Fixed header
+    return navbar ? navbar.getBoundingClientRect().height : 0; // Varies with breakpoint + .scrolled padding
+} // End getNavbarOffset
+
+/**
+ * Records the current scroll position on the active entry, then adds a new
+ * entry for the hash (no-op when already there).
+ * @param {string} hash
+ */
+function pushRoute(hash) { // New history entry
+    if (window.location.hash === hash) return; // Same route; nothing to add
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '', window.location.href); // Back returns here
+    history.pushState({}, '', hash); // Keeps path + query string
+} // End pushRoute
+
+/**
+ * Routes clicks on in-page links. Placeholders (`#`) are swallowed so they
+ * don't jump to the top or add a history entry; unknown ids, Bootstrap
+ * toggles and modified clicks keep their default behaviour.
+ * @param {MouseEvent} e
+ */
+function handleRouteLinkClick(e) { // Delegated link handler
+    const link = e.target.closest('a[href^="#"]'); // In-page link
+    if (!link || link.hasAttribute('data-bs-toggle') || e.defaultPrevented) return; // Not ours
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return; // New tab / window
+    const hash = link.getAttribute('href'); // Route hash
+    if (hash === '#') { // Placeholder link
+        e.preventDefault(); // Stay put
+        return; // Nothing to route
+    } // End placeholder branch
+    const route = parseRoute(hash); // Resolve target
+    if (!route) return; // Let the browser handle it
+
+    e.preventDefault(); // Scroll ourselves (navbar offset)
+    pushRoute(hash); // Shareable URL + back button
+    applyRoute(route); // Tab + scroll
+
+    const offcanvasEl = link.closest('.offcanvas'); // Mobile menu link?
+    if (offcanvasEl) { // Close the menu, then continue from the section
+        setFocusReturn(offcanvasEl, route.target); // Instead of the menu button
+        bootstrap.Offcanvas.getOrCreateInstance(offcanvasEl).hide(); // Reveal the section
+    } else { // Keyboard focus follows the link, as with native anchors
+        focusWithoutScroll(route.target); // Next Tab continues inside the section
+    } // End focus branches
+} // End handleRouteLinkClick
+
+/**
+ * Mirrors pill / tab selections inside a section into the URL.
+ * @param {Event} e - Bootstrap shown.bs.tab (target = activated button)
+ */
+function handleRouteTabShown(e) { // Tab → history entry
+    const pane = e.target.getAttribute('data-bs-target'); // '#housing'
+    const section = e.target.closest('section[id]'); // Owning section
+    if (!pane || !section) return; // Tabs outside page sections (modals)
+    pushRoute(`#${section.id}/${pane.slice(1)}`); // Skipped when the URL already matches
+} // End handleRouteTabShown
+
+/**
+ * Back / forward: reselects the entry's tab and restores its position.
+ * @param {PopStateEvent} e
+ */
+function handleRoutePopState(e) { // History traversal
+    const scrollY = e.state && e.state.scrollY; // Saved when the entry was left
+    applyRoute(parseRoute(window.location.hash), { scrollY }); // Route may be null (initial entry)
+} // End handleRoutePopState
+
+/**
+ * (Re)creates the observer that tracks which section sits just below the
+ * navbar; the band is rebuilt on resize because the navbar height changes.
+ */
+function observeActiveSection() { // Active-section tracking
+    if (routerState.observer) routerState.observer.disconnect(); // Replace previous band
+    routerState.visible.clear(); // Observer reports fresh entries
+    routerState.sections = Array.from(document.querySelectorAll('section[id]')); // Tracked sections
+    routerState.observer = new IntersectionObserver(entries => { // Band crossings
+        entries.forEach(entry => { // Each section change
+            if (entry.isIntersecting) routerState.visible.add(entry.target.id); // Entered band
+            else routerState.visible.delete(entry.target.id); // Left band
+        }); // End entries loop
+        renderActiveNavigation(); // Update links
+    }, { rootMargin: `-${Math.round(getNavbarOffset())}px 0px -60% 0px` }); // Top 40% of the visible page
+    routerState.sections.forEach(section => routerState.observer.observe(section)); // Start tracking
+} // End observeActiveSection
+
+/**
+ * Highlights the navbar link of the first section inside the band and
+ * dispatches `sectionchange` (detail: `{id}`) when that section changes.
+ */
+function renderActiveNavigation() { // Active link state
+    const current = routerState.sections.find(section => routerState.visible.has(section.id)); // Topmost visible
+    document.querySelectorAll('.navbar-nav .nav-link').forEach(link => { // Navbar + offcanvas links
+        link.classList.toggle('active', !!current && link.getAttribute('href') === `#${current.id}`); // Match section
+    }); // End links loop
+    if (!current || current.id === routerState.current) return; // Same section (or between sections)
+    routerState.current = current.id; // Remember
+    document.dispatchEvent(new CustomEvent('sectionchange', { detail: { id: current.id } })); // e.g. personalization
+} // End renderActiveNavigation
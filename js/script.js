@@ -4,15 +4,35 @@
  * and scroll / reveal animations). Kept intentionally lean so each concern
  * lives in its own initializer for readability & potential lazy-loading.
  */
-document.addEventListener('DOMContentLoaded', function () { // Listen for full HTML parse before running setup
+document.addEventListener('DOMContentLoaded', async function () { // Listen for full HTML parse before running setup
     console.log('Rutgers University website initialized'); // Debug log confirming script start
 
     // Kick off individual feature initializers.
+    initializeI18n();              // Saved / browser language + switchers (before any copy is generated)
+    initializeAccessibility();     // Motion preference, live region + dialog focus return (before anything animates)
+    initializeAnalytics();         // Consent banner, batching + automatic events (before anything tracks)
     initializeCounters();          // Start statistic counters (lazy triggered by IntersectionObserver)
     initializeScrollEffects();     // Attach fade-in scroll observer
-    initializeNavigation();        // Enable smooth scroll + active nav highlighting
-    initializeInfoRequestForm();   // Hook realtime validation for info request form
+    initializeFormValidation();    // Hook declarative validation for registered forms
     initializeRevealAnimations();  // Prepare staggered reveal animations
+    initializeSubmissionQueue();   // Replay submissions saved while offline
+    initializeApplicationWizard(); // Restore application draft & step state
+    initializeRouter();            // In-page link, tab + history handlers (before content, so early clicks route)
+
+    try { // One bad data file must not disable the rest of the page
+        await initializeDynamicContent(); // Render data-driven sections from data/*.json
+    } catch (err) { // Unexpected renderer failure
+        console.error('Dynamic content failed to load', err); // Static markup stays in place
+    } // End try/catch
+    initializeProgramExplorer();   // Search + facet filters for program cards (needs rendered cards)
+    initializeProgramCompare();    // Side-by-side comparison tray (needs rendered cards + tuition rows)
+    initializeCostCalculator();    // Net price calculator (needs cost-aid + housing data)
+    initializeDeadlineTracker();   // Countdowns + .ics export for key deadlines
+    initializeVisitBooking();      // Campus visit booking (loads its schedule in the background)
+    initializeFaqAssistant();      // FAQ chat widget (loads its knowledge base in the background)
+    initializeAdmissionsPacket();  // "Build my packet": print, download or email a summary
+    initializePersonalization();   // Visitor profile: recommended programs, pre-selects, resume banner
+    initializeRouteTracking();     // Deep link + active nav (last: offsets depend on rendered content)
 
     console.log('All interactive elements initialized'); // Debug log after initializers run
 }); // End DOMContentLoaded handler
@@ -53,96 +73,68 @@ function initializeCounters() { // Initialize number counters with lazy start
             counterObserver.observe(counter.element); // Start observing this element
         } // End if element exists
     }); // End counters forEach
+
+    document.addEventListener('localechange', () => { // Re-format finished / running counters
+        counters.forEach(counter => { // Loop counters
+            if (counter.element && counter.element.dataset.value) renderCounterValue(counter.element); // Only once started
+        }); // End counters forEach
+    }); // End localechange listener
 } // End initializeCounters
 /**
- * Performs the counter animation for a single element.
+ * Performs the counter animation for a single element: an ease-out count
+ * driven by requestAnimationFrame. With reduced motion the final value is
+ * shown straight away (also mid-animation, if the toggle is switched on).
  * @param {HTMLElement} element - DOM element whose textContent we mutate.
  * @param {number} target - Final number to reach.
  * @param {string} [suffix] - Optional suffix appended (e.g. '+').
  */
 function animateCounter(element, target, suffix = '') { // Animate numbers from 0 to target
     element.classList.add('counting'); // Mark element to avoid duplicate runs
-    let current = 0; // Starting value
-    const increment = target / 50; // Amount to add each frame
+    element.dataset.suffix = suffix; // Kept for re-formatting on language change
     const duration = 2000; // Total animation duration ms
-    const stepTime = duration / 50; // Interval time for 50 steps
-
-    const timer = setInterval(() => { // Repeatedly update value
-        current += increment; // Increment current value
-        if (current >= target) { // Clamp when reaching target
-            current = target; // Set to final value
-            clearInterval(timer); // Stop interval
-        } // End clamp condition
-
-        const formattedNumber = Math.floor(current).toLocaleString(); // Format with locale separators
-        element.textContent = formattedNumber + suffix; // Update DOM text with suffix
-    }, stepTime); // Interval timing
+    let start = null; // Timestamp of the first frame
+
+    const step = timestamp => { // One animation frame
+        if (start === null) start = timestamp; // Clock starts on the first painted frame
+        const progress = prefersReducedMotion() ? 1 : Math.min((timestamp - start) / duration, 1); // 0 → 1
+        element.dataset.value = Math.round(target * easeOutCubic(progress)); // Current whole number
+        renderCounterValue(element); // Update DOM text with suffix
+        if (progress < 1) requestAnimationFrame(step); // Continue until the target is shown
+    }; // End step
+
+    if (prefersReducedMotion()) step(0); // Final value immediately
+    else requestAnimationFrame(step); // Start on the next frame
 } // End animateCounter
 /**
- * Wires up smooth scrolling for in-page anchor links and updates
- * active navigation state while scrolling. Also auto-hides the
- * offcanvas menu after a selection on small screens.
+ * @param {number} progress - linear progress 0 → 1
+ * @returns {number} eased progress (fast start, gentle landing)
  */
-function initializeNavigation() { // Setup smooth scrolling & active nav state
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => { // Select all internal anchor links
-        anchor.addEventListener('click', function (e) { // Attach click handler
-            e.preventDefault(); // Prevent default jump behaviour
-            const target = document.querySelector(this.getAttribute('href')); // Resolve target element
-            if (target) { // If target exists
-                const offsetTop = target.offsetTop - 80; // Adjust for fixed nav height
-                window.scrollTo({ // Smooth scroll to position
-                    top: offsetTop, // Destination scroll top
-                    behavior: 'smooth' // Enable smooth behavior
-                }); // End scrollTo
-            } // End if target exists
-
-            // If inside offcanvas, close it on click
-            const offcanvasEl = this.closest('.offcanvas'); // Find parent offcanvas if any
-            if (offcanvasEl) { // If inside offcanvas
-                const instance = bootstrap.Offcanvas.getInstance(offcanvasEl) || new bootstrap.Offcanvas(offcanvasEl); // Get or create instance
-                instance.hide(); // Hide offcanvas after navigation
-            } // End if offcanvas
-        }); // End click handler
-    }); // End forEach anchor
-
-    // Update active nav highlighting as user scrolls.
-    window.addEventListener('scroll', updateActiveNavigation); // Bind scroll event for active section tracking
-} // End initializeNavigation
+function easeOutCubic(progress) { // Counter easing
+    return 1 - Math.pow(1 - progress, 3); // Cubic ease-out
+} // End easeOutCubic
 /**
- * Determines which section is currently within the viewport bounds
- * and applies an 'active' class to the corresponding nav link.
+ * Writes a counter's current value using the active locale's digit
+ * grouping (71,000 in English, 71.000 in Spanish).
+ * @param {HTMLElement} element - counter with data-value / data-suffix
  */
-function updateActiveNavigation() { // Determine active section & update nav links
-    const sections = document.querySelectorAll('section[id]'); // All identifiable sections
-    const navLinks = document.querySelectorAll('.navbar-nav .nav-link'); // All navbar links
-
-    let current = ''; // Currently active section id placeholder
-    sections.forEach(section => { // Loop sections
-        const sectionTop = section.offsetTop - 100; // Adjusted top boundary
-        const sectionHeight = section.clientHeight; // Height of section
-        if (window.scrollY >= sectionTop && window.scrollY < sectionTop + sectionHeight) { // Check if scroll inside bounds
-            current = section.getAttribute('id'); // Record current visible section id
-        } // End visibility check
-    }); // End sections loop
-
-    navLinks.forEach(link => { // Iterate nav links
-        link.classList.remove('active'); // Remove previous active class
-        if (link.getAttribute('href') === `#${current}`) { // Match link to active section
-            link.classList.add('active'); // Highlight active link
-        } // End match condition
-    }); // End nav links loop
-} // End updateActiveNavigation
+function renderCounterValue(element) { // Locale-aware counter text
+    const formattedNumber = Number(element.dataset.value).toLocaleString(getIntlLocale()); // Format with locale separators
+    element.textContent = formattedNumber + (element.dataset.suffix || ''); // Update DOM text with suffix
+} // End renderCounterValue
 /**
  * Adds viewport-based fade-in effect to elements marked with `.fade-in`.
  * Lightweight progressive enhancement (no work done for unsupported browsers).
+ * The same observer watches `section[id]` to report section views.
  */
 function initializeScrollEffects() { // Prepare fade-in on scroll for .fade-in elements
     const fadeElements = document.querySelectorAll('.fade-in'); // NodeList of fade targets
 
-    const fadeObserver = new IntersectionObserver((entries) => { // Observer for fade elements
+    const fadeObserver = new IntersectionObserver((entries) => { // Observer for fade elements + section views
         entries.forEach(entry => { // Loop entries
             if (entry.isIntersecting) { // If element visible
-                entry.target.classList.add('show'); // Add class to trigger CSS animation
+                recordSectionView(entry.target); // Analytics section_view (once per section)
+                if (entry.target.classList.contains('fade-in')) entry.target.classList.add('show'); // Add class to trigger CSS animation
+                else fadeObserver.unobserve(entry.target); // Sections only need reporting once
             } // End isIntersecting
         }); // End forEach entry
     }, { // Observer options
@@ -153,13 +145,16 @@ function initializeScrollEffects() { // Prepare fade-in on scroll for .fade-in e
     fadeElements.forEach(element => { // Observe each fade element
         fadeObserver.observe(element); // Start observing element
     }); // End forEach
+    document.querySelectorAll('section[id]').forEach(section => fadeObserver.observe(section)); // Sections for view tracking
 } // End initializeScrollEffects
 /**
  * Sets up more configurable reveal animations for elements with `.reveal`.
  * Elements can optionally specify a custom delay via `data-delay` attribute.
+ * Pass a container to only observe elements rendered into it later.
+ * @param {ParentNode} [root] - Subtree to scan (defaults to whole document)
  */
-function initializeRevealAnimations() { // Initialize staggered reveal animations
-    const revealEls = document.querySelectorAll('.reveal'); // Elements needing reveal animation
+function initializeRevealAnimations(root = document) { // Initialize staggered reveal animations
+    const revealEls = root.querySelectorAll('.reveal:not(.visible)'); // Elements still needing reveal animation
     if (!revealEls.length) return; // Bail early if none
     const observer = new IntersectionObserver((entries, obs) => { // Observer with custom callback
         entries.forEach(entry => { // Iterate observed entries
@@ -168,6 +163,7 @@ function initializeRevealAnimations() { // Initialize staggered reveal animation
                 const delay = target.getAttribute('data-delay'); // Optional custom delay attribute
                 if (delay) target.style.setProperty('--reveal-delay', delay); // Apply CSS var if provided
                 target.classList.add('visible'); // Set visible class to trigger animation
+                recordSectionView(target); // Analytics section_view for the owning section
                 obs.unobserve(target); // Stop observing once revealed
             } // End if intersecting
         }); // End entries forEach
@@ -175,68 +171,68 @@ function initializeRevealAnimations() { // Initialize staggered reveal animation
     revealEls.forEach(el => observer.observe(el)); // Observe each reveal element
 } // End initializeRevealAnimations
 /**
- * Opens the application modal and focuses the first input once shown
- * for improved accessibility & keyboard workflow.
+ * Opens the application modal. The wizard focuses the current step once
+ * the modal is shown, and focus returns to the opener when it closes
+ * (see js/application-wizard.js and js/accessibility.js).
  */
-function showApplicationForm() { // Display application form modal & focus first input
-    const modal = new bootstrap.Modal(document.getElementById('applicationModal')); // Create bootstrap modal instance
-    modal.show(); // Show modal window
-
-    document.getElementById('applicationModal').addEventListener('shown.bs.modal', function () { // After modal fully shown
-        document.getElementById('firstName').focus(); // Focus first name input for accessibility
-    }); // End shown listener
+function showApplicationForm() { // Display application form modal
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('applicationModal')).show(); // Reuse the single instance
 } // End showApplicationForm
 
 /**
- * Handles submission of the mock application form: basic client-side
- * validity check, optimistic UI loading state, simulated async delay,
- * and event tracking.
- * NOTE: This uses console logging only (no network persistence).
+ * Handles submission of the application wizard: re-validates every step,
+ * shows a loading state, delivers the structured application through the
+ * shared submission pipeline (see js/submission.js) and tracks the event.
+ * The visitor only sees a success message once the payload was accepted
+ * or safely queued; the saved draft is cleared at the same point.
  */
-function submitApplication() { // Handle mock application submission
+async function submitApplication() { // Handle application submission
+    const submitButton = document.getElementById('wizardSubmit'); // Review step submit button
     const form = document.getElementById('applicationForm'); // Form element reference
-    const submitButton = event.target; // Button triggering submission (uses implicit global event)
-
-    if (!form.checkValidity()) { // Validate form fields
-        form.reportValidity(); // Show native validation UI
-        return; // Abort submit if invalid
-    } // End validity check
 
-    const originalText = submitButton.textContent; // Store original button label
-    submitButton.innerHTML = '<span class="loading"></span> Submitting...'; // Show loading spinner state
+    const steps = getApplicationSteps(); // Wizard steps
+    for (let i = 0; i < steps.length - 1; i++) { // Validate every data step
+        if (!validateApplicationStep(i, { focus: false })) { // Found an invalid step
+            goToApplicationStep(i); // Send user back to it
+            validateApplicationStep(i); // Re-run with focus on the first error
+            return; // Abort submit if invalid
+        } // End invalid step branch
+    } // End steps loop
+
+    const originalText = submitButton.innerHTML; // Store original button label
+    submitButton.innerHTML = `<span class="loading"></span> ${escapeHtml(t('application.submitting'))}`; // Show loading spinner state
     submitButton.disabled = true; // Prevent duplicate submissions
 
-    const formData = { // Collect form input values
-        firstName: document.getElementById('firstName').value, // First name value
-        lastName: document.getElementById('lastName').value, // Last name value
-        email: document.getElementById('email').value, // Email value
-        program: document.getElementById('program').value, // Selected program value
-        startDate: document.getElementById('startDate').value, // Intended start date
-        submittedAt: new Date().toISOString() // Timestamp of submission
-    }; // End formData object
+    const formData = collectApplicationData(); // Structured application object
 
-    setTimeout(() => { // Simulate async network request delay
-        console.log('Application submitted:', formData); // Log simulated submission payload
+    try { // Deliver via submission pipeline
+        const result = await submitPayload('application', formData, { endpoint: form.dataset.endpoint }); // POST or queue
+        showSuccessMessage(t(result.status === 'queued' // Pick copy based on outcome
+            ? 'application.queued' // Saved offline, sent on reconnect
+            : 'application.sent')); // Delivered copy
 
-        showSuccessMessage('Application submitted successfully! We\'ll contact you within 2 business days.'); // Show success feedback
-
-        form.reset(); // Clear form fields
+        resetApplicationWizard({ focus: false }); // Clear fields + draft only once the data is safe
+        markFormCompleted('applicationForm'); // Closing the modal now isn't an abandonment
         const modal = bootstrap.Modal.getInstance(document.getElementById('applicationModal')); // Get existing modal instance
-        modal.hide(); // Hide modal after submission
+        modal && modal.hide(); // Hide modal after submission
 
+        trackEvent('application_submitted', formData.program); // Track analytics event
+    } catch (err) { // Server rejected or retries exhausted
+        console.error('Application submission failed', err); // Keep details for debugging
+        showSuccessMessage(t('application.failed'), 'error'); // Error feedback
+    } finally { // Always restore button
         submitButton.innerHTML = originalText; // Restore original button text
         submitButton.disabled = false; // Re-enable button
-
-        trackEvent('application_submitted', formData.program); // Track analytics event
-
-    }, 2000); // Delay duration
+    } // End try/catch/finally
 } // End submitApplication
 /**
- * Generic transient success toast/message creator. Reuses existing
- * container if already created.
- * @param {string} message - User-facing success copy.
+ * Generic transient toast/message creator. Reuses existing container if
+ * already created. The toast is visual only; the copy is read out through
+ * the shared live region.
+ * @param {string} message - User-facing copy.
+ * @param {'success'|'error'} [variant] - Visual style of the toast.
  */
-function showSuccessMessage(message) { // Display transient success toast
+function showSuccessMessage(message, variant = 'success') { // Display transient toast
     let successDiv = document.querySelector('.success-message'); // Lookup existing success container
     if (!successDiv) { // If missing create it
         successDiv = document.createElement('div'); // Create div element
@@ -244,103 +240,69 @@ function showSuccessMessage(message) { // Display transient success toast
         document.body.appendChild(successDiv); // Append to body
     } // End creation block
 
+    successDiv.classList.toggle('error', variant === 'error'); // Switch to error styling when needed
     successDiv.textContent = message; // Set message text
     successDiv.style.display = 'block'; // Make toast visible
+    announce(message, variant === 'error' ? 'assertive' : 'polite'); // Screen readers hear it via the live region
 
-    setTimeout(() => { // Schedule hide
+    clearTimeout(successDiv.hideTimer); // Restart hide timer if a toast is already showing
+    successDiv.hideTimer = setTimeout(() => { // Schedule hide
         successDiv.style.display = 'none'; // Hide after timeout
     }, 5000); // Display duration ms
 } // End showSuccessMessage
 /**
- * Lightweight analytics stub. In a production setup this would forward
- * data to an analytics endpoint instead of console logging.
- * @param {string} eventName
- * @param {*} eventData
+ * Submission handler for the Info Request form. Validates fields via the
+ * declarative rules in js/validation.js, delivers through the shared submission pipeline, reflects the
+ * real outcome in #infoSuccess, and logs a tracking event.
  */
-function trackEvent(eventName, eventData) { // Stub analytics tracker
-    console.log(`Event tracked: ${eventName}`, eventData); // Log event name + data to console
-} // End trackEvent
-/**
- * Binds real-time validation for the Info Request form fields so the
- * user receives immediate feedback while typing.
- */
-function initializeInfoRequestForm() { // Setup realtime validation for info request form
-    const form = document.getElementById('infoRequestForm'); // Form reference
-    if (!form) return; // Exit if not present on page
-    ['riFirstName', 'riLastName', 'riEmail'].forEach(id => { // Required field ids
-        const el = document.getElementById(id); // Field element
-        el && el.addEventListener('input', () => validateBasic(el)); // Attach input listener if exists
-    }); // End forEach ids
-} // End initializeInfoRequestForm
-/**
- * Minimal validity styling toggle for real-time form feedback.
- * @param {HTMLElement} field
- */
-function validateBasic(field) { // Simple validity feedback toggle
-    if (!field) return; // Guard against null
-    if (field.checkValidity()) { // If field valid
-        field.classList.remove('is-invalid'); // Remove invalid class
-        field.classList.add('is-valid'); // Add valid class
-    } else { // If invalid
-        field.classList.remove('is-valid'); // Remove valid class
-        field.classList.add('is-invalid'); // Add invalid indicator
-    } // End validity branch
-} // End validateBasic
-/**
- * Submission handler for the Info Request form. Validates required
- * fields, simulates async submission, displays success feedback, and
- * logs a tracking event.
- */
-function submitInfoRequest() { // Handle info request form submission
+async function submitInfoRequest() { // Handle info request form submission
     const form = document.getElementById('infoRequestForm'); // Form reference
     if (!form) return; // Exit if not present
-    const requiredIds = ['riFirstName', 'riLastName', 'riEmail']; // Required fields list
-    let valid = true; // Assume valid until proven otherwise
-    requiredIds.forEach(id => { // Loop required fields
-        const field = document.getElementById(id); // Field element
-        if (!field.checkValidity()) { // If invalid
-            field.classList.add('is-invalid'); // Mark invalid visually
-            valid = false; // Flip validity flag
-        } // End validity condition
-    }); // End loop
-    if (!valid) return; // Abort if any invalid
+    if (!validateForm(form)) return; // Abort if any rule fails (summary receives focus)
     const btn = document.getElementById('infoSubmitBtn'); // Submit button reference
     const original = btn.innerHTML; // Store original button content
     btn.disabled = true; // Disable button while processing
-    btn.innerHTML = '<span class="loading"></span> Sending...'; // Show loading indicator
+    btn.innerHTML = `<span class="loading"></span> ${escapeHtml(t('contact.sending'))}`; // Show loading indicator
     const payload = { // Construct submission payload
         firstName: document.getElementById('riFirstName').value.trim(), // First name trimmed
         lastName: document.getElementById('riLastName').value.trim(), // Last name trimmed
         email: document.getElementById('riEmail').value.trim(), // Email trimmed
+        phone: document.getElementById('riPhone').value.trim(), // Optional phone trimmed
         interest: document.getElementById('riInterest').value, // Interest selection
         message: document.getElementById('riMessage').value.trim(), // Message trimmed
         submittedAt: new Date().toISOString() // Timestamp for tracking
     }; // End payload object
-    setTimeout(() => { // Simulate asynchronous processing
-        console.log('Info request submitted', payload); // Log payload for debugging
-        const success = document.getElementById('infoSuccess'); // Success message container
-        if (success) { // If container present
-            success.classList.remove('d-none'); // Unhide success message
-            success.textContent = 'Thank you! Your request has been received. We will respond shortly.'; // Set message text
-        } // End success existence check
+    try { // Deliver via submission pipeline
+        const result = await submitPayload('infoRequest', payload, { endpoint: form.dataset.endpoint }); // POST or queue
+        showInfoRequestStatus(result.status === 'queued' ? 'warning' : 'success', result.status === 'queued' // Outcome-specific copy
+            ? 'contact.queued' // Saved offline, sent on reconnect
+            : 'contact.sent'); // Delivered copy
         form.reset(); // Clear form inputs
+        clearFormValidation(form); // Drop stale validity styling
+        markFormCompleted(form.id); // Stop abandonment tracking for this attempt
+        trackEvent('info_request_submitted', payload.interest); // Track analytics event
+    } catch (err) { // Server rejected or retries exhausted
+        console.error('Info request submission failed', err); // Keep details for debugging
+        showInfoRequestStatus('danger', 'contact.failed'); // Error copy
+    } finally { // Always restore button
         btn.disabled = false; // Re-enable submit button
         btn.innerHTML = original; // Restore original button label
-        trackEvent('info_request_submitted', payload.interest); // Track analytics event
-    }, 1500); // Artificial delay length
+    } // End try/catch/finally
 } // End submitInfoRequest
 /**
- * Simple client-side filter for program card elements based on
- * a data-category attribute. Pass 'all' to show everything.
- * @param {string} criteria
+ * Shows the outcome of an info request in the #infoSuccess alert. The
+ * message stays bound to its catalog key, so it follows language changes.
+ * @param {'success'|'warning'|'danger'} variant - Bootstrap alert variant.
+ * @param {string} key - Message catalog key (see js/locales/en.js).
  */
-function filterPrograms(criteria) { // Filter program cards by category
-    const cards = document.querySelectorAll('#programs [data-category]'); // All program card elements
-    cards.forEach(card => { // Loop each card
-        const matches = criteria === 'all' || card.getAttribute('data-category') === criteria; // Determine if card matches filter
-        card.style.display = matches ? '' : 'none'; // Show or hide based on match
-    }); // End forEach
-} // End filterPrograms
+function showInfoRequestStatus(variant, key) { // Update info request alert
+    const status = document.getElementById('infoSuccess'); // Alert container
+    if (!status) return; // Nothing to update
+    status.classList.remove('d-none', 'alert-success', 'alert-warning', 'alert-danger'); // Reset visibility + variant
+    status.classList.add(`alert-${variant}`); // Apply requested variant
+    translateElement(status, key); // Set message text
+    announce(status.textContent, variant === 'danger' ? 'assertive' : 'polite'); // Read out via the live region
+} // End showInfoRequestStatus
 /**
  * Returns a debounced version of a function that delays execution until
  * after `wait` ms have elapsed since the last invocation.
@@ -360,47 +322,44 @@ function debounce(func, wait) { // Create debounced function
     }; // End returned function
 } // End debounce
 /**
- * Placeholder for potential dynamic content loading hook.
- * Currently logs to console only.
+ * Sets (or, for empty values, removes) query parameters on the current URL
+ * without adding a history entry. Other parameters and the hash are kept;
+ * commas stay unescaped so shared list values remain readable.
+ * @param {Object<string, string>} values - parameter name → value
  */
-function loadDynamicContent(section) { // Placeholder dynamic loader
-    console.log(`Loading content for section: ${section}`); // Log which section would load
-} // End loadDynamicContent
+function updateUrlParams(values) { // Patch query string in place
+    const url = new URL(window.location.href); // Current URL
+    Object.entries(values).forEach(([name, value]) => { // Each parameter
+        if (value) url.searchParams.set(name, value); // Set value
+        else url.searchParams.delete(name); // Drop empty
+    }); // End parameters loop
+    const search = url.searchParams.toString().replace(/%2C/gi, ','); // Readable comma lists
+    history.replaceState(history.state, '', url.pathname + (search ? `?${search}` : '') + url.hash); // Update address bar
+} // End updateUrlParams
 /**
- * Adds blur & input validation listeners to all bootstrap-styled inputs
- * to give real-time feedback as users correct errors.
+ * Copies text to the clipboard, falling back to a hidden textarea where
+ * the async clipboard API is unavailable (older browsers, non-HTTPS).
+ * @param {string} text
+ * @returns {Promise<boolean>} whether the copy succeeded
  */
-function enhanceFormInputs() { // Attach validation behaviors to form inputs
-    const inputs = document.querySelectorAll('.form-control, .form-select'); // Collect all input/select controls
-    inputs.forEach(input => { // Loop each field
-        input.addEventListener('blur', function () { // On blur validate
-            validateField(this); // Validate current field
-        }); // End blur listener
-
-        input.addEventListener('input', function () { // On input while invalid revalidate
-            if (this.classList.contains('is-invalid')) { // Only if previously invalid
-                validateField(this); // Re-validate field to update state
-            } // End invalid check
-        }); // End input listener
-    }); // End inputs forEach
-} // End enhanceFormInputs
-
-/**
- * Generic validity indicator toggle used by multiple form handlers.
- * @param {HTMLElement} field
- * @returns {boolean} whether field is valid
- */
-function validateField(field) { // Generic field validity toggle
-    const isValid = field.checkValidity(); // Native validity check
-    field.classList.remove('is-valid', 'is-invalid'); // Remove previous state classes
-    field.classList.add(isValid ? 'is-valid' : 'is-invalid'); // Apply appropriate class
-
-    return isValid; // Return boolean result
-} // End validateField
-// Secondary DOMContentLoaded listener: sets up baseline real-time validation
-// styling for generic form inputs (separate from main initializer for clarity).
-document.addEventListener('DOMContentLoaded', enhanceFormInputs); // Add second load handler for form input enhancement
-
+async function copyTextToClipboard(text) { // Clipboard helper
+    try { // Modern API first
+        if (!navigator.clipboard) throw new Error('Clipboard API unavailable'); // Force fallback
+        await navigator.clipboard.writeText(text); // Async copy
+        return true; // Copied
+    } catch (err) { // Fallback path
+        const scratch = document.createElement('textarea'); // Temporary field
+        scratch.value = text; // Text to copy
+        scratch.setAttribute('readonly', ''); // Avoid mobile keyboard
+        scratch.style.position = 'fixed'; // Keep page from scrolling
+        scratch.style.opacity = '0'; // Invisible
+        document.body.appendChild(scratch); // Attach
+        scratch.select(); // Select contents
+        const copied = Boolean(document.execCommand && document.execCommand('copy')); // Legacy copy
+        scratch.remove(); // Clean up
+        return copied; // Outcome
+    } // End try/catch
+} // End copyTextToClipboard
 /**
  * Collapses the mobile navbar after selecting a link (improves UX so the
  * user immediately sees navigated content without needing to close menu manually).
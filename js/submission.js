@@ -0,0 +1,259 @@
+/**
+ * Shared submission pipeline used by the application and info request
+ * forms. Payloads are POSTed as JSON with an idempotency key, retried with
+ * exponential backoff on timeouts / server errors, and parked in a local
+ * outbox when the visitor is offline so they can be replayed later.
+ * Endpoints of the form `mock:<name>` are answered in the page by a handler
+ * registered with registerMockEndpoint(), for testing without a backend.
+ */
+const SUBMISSION_CONFIG = { // Defaults (override per form via data-endpoint)
+    endpoints: { // Collector endpoint per submission kind
+        application: '/api/applications', // Quick application modal
+        infoRequest: '/api/info-requests', // Request Information form
+        visitBooking: '/api/visit-bookings', // Campus visit / info session booking
+        admissionsPacket: '/api/packet-requests' // "Email me this packet"
+    }, // End endpoints
+    timeoutMs: 10000, // Abort a single attempt after 10s
+    maxAttempts: 4, // Initial attempt + 3 retries
+    baseDelayMs: 800, // First backoff delay (doubles each retry)
+    maxDelayMs: 8000, // Upper bound for a single backoff delay
+    queueKey: 'ru.submissionQueue' // localStorage key for the offline outbox
+}; // End SUBMISSION_CONFIG
+
+const SUBMISSION_MOCK_HANDLERS = {}; // 'mock:<name>' endpoint → local handler
+
+/**
+ * Error raised when the server definitively rejects a payload (4xx) or
+ * when every retry attempt is exhausted while online.
+ */
+class SubmissionError extends Error { // Typed error for UI branching
+    constructor(message, status) { // Capture HTTP status when known
+        super(message); // Initialise base Error
+        this.name = 'SubmissionError'; // Stable name for instanceof-less checks
+        this.status = status || 0; // 0 = network / timeout
+    } // End constructor
+} // End SubmissionError
+
+/**
+ * Submits a payload for the given kind. Resolves with `{ status: 'sent' }`
+ * (plus the server's Response) when the server accepted it or
+ * `{ status: 'queued' }` when it was stored for replay; rejects with a
+ * SubmissionError otherwise. Pass `queue: false` for submissions that are
+ * only meaningful right now (e.g. reserving a seat): connectivity failures
+ * then reject with a status-0 SubmissionError instead of being queued.
+ * @param {'application'|'infoRequest'|'visitBooking'|'admissionsPacket'} kind
+ * @param {Object} payload
+ * @param {{endpoint?: string, queue?: boolean}} [options]
+ * @returns {Promise<{status: string, idempotencyKey: string, response?: Response}>}
+ */
+async function submitPayload(kind, payload, options = {}) { // Entry point shared by both forms
+    const entry = { // Outbox-compatible envelope
+        kind, // Submission kind
+        endpoint: options.endpoint || SUBMISSION_CONFIG.endpoints[kind], // Resolved endpoint
+        idempotencyKey: createIdempotencyKey(), // Stable across retries and replays
+        payload, // Raw form data
+        createdAt: new Date().toISOString() // Queue timestamp
+    }; // End entry
+
+    const queue = options.queue !== false; // Outbox allowed?
+
+    if (!navigator.onLine) { // Skip the network entirely when offline
+        if (!queue) throw new SubmissionError('Offline', 0); // Caller handles it
+        enqueueSubmission(entry); // Park for later replay
+        return { status: 'queued', idempotencyKey: entry.idempotencyKey }; // Report queued outcome
+    } // End offline branch
+
+    try { // Attempt delivery with retries
+        const response = await sendWithRetry(entry); // Throws on permanent failure
+        return { status: 'sent', idempotencyKey: entry.idempotencyKey, response }; // Delivered
+    } catch (err) { // Delivery failed
+        if (queue && isNetworkFailure(err)) { // Connectivity problem rather than a rejection
+            enqueueSubmission(entry); // Keep the lead instead of dropping it
+            return { status: 'queued', idempotencyKey: entry.idempotencyKey }; // Report queued outcome
+        } // End network failure branch
+        throw err; // Surface server rejection to caller
+    } // End try/catch
+} // End submitPayload
+
+/**
+ * Performs the POST with timeout and exponential backoff. Retries on
+ * network errors, timeouts, 408, 429 and 5xx responses only.
+ * @param {Object} entry - Outbox envelope
+ * @returns {Promise<Response>}
+ */
+async function sendWithRetry(entry) { // Retry loop around a single POST
+    let lastError; // Most recent failure
+    for (let attempt = 1; attempt <= SUBMISSION_CONFIG.maxAttempts; attempt++) { // Bounded attempts
+        try { // Single attempt
+            const response = await postJson(entry); // Perform request
+            if (response.ok) return response; // Accepted (2xx)
+            lastError = new SubmissionError(`Server responded with ${response.status}`, response.status); // Record failure
+            if (!isRetryableStatus(response.status)) throw lastError; // 4xx: do not retry
+        } catch (err) { // Network error, timeout or permanent rejection
+            if (err instanceof SubmissionError && !isRetryableStatus(err.status)) throw err; // Permanent
+            lastError = err; // Keep for final rethrow
+            if (!navigator.onLine) break; // Connection dropped mid-flight; stop retrying
+        } // End attempt try/catch
+        if (attempt < SUBMISSION_CONFIG.maxAttempts) await wait(backoffDelay(attempt)); // Back off before next try
+    } // End attempts loop
+    throw lastError; // Exhausted attempts
+} // End sendWithRetry
+
+/**
+ * Issues one JSON POST that aborts after the configured timeout.
+ * @param {Object} entry - Outbox envelope
+ * @returns {Promise<Response>}
+ */
+async function postJson(entry) { // Single request with timeout
+    const mock = SUBMISSION_MOCK_HANDLERS[entry.endpoint]; // Local stand-in?
+    if (mock) return mock({ ...entry.payload, idempotencyKey: entry.idempotencyKey }); // Same body a server would get
+    const controller = new AbortController(); // Allows cancelling slow requests
+    const timer = setTimeout(() => controller.abort(), SUBMISSION_CONFIG.timeoutMs); // Timeout guard
+    try { // Always clear timer
+        return await fetch(entry.endpoint, { // Fire request
+            method: 'POST', // Create resource
+            headers: { // JSON + dedupe header
+                'Content-Type': 'application/json', // Body format
+                'Idempotency-Key': entry.idempotencyKey // Lets the server ignore replays
+            }, // End headers
+            body: JSON.stringify({ ...entry.payload, idempotencyKey: entry.idempotencyKey }), // Key also in body for simple backends
+            signal: controller.signal // Hook up abort
+        }); // End fetch
+    } finally { // Cleanup
+        clearTimeout(timer); // Prevent stray abort
+    } // End try/finally
+} // End postJson
+
+/**
+ * Registers an in-page handler for a `mock:<name>` endpoint. The handler
+ * receives the JSON body a server would get and resolves with a Response.
+ * @param {string} endpoint - e.g. 'mock:visit-bookings'
+ * @param {function(Object): Promise<Response>} handler
+ */
+function registerMockEndpoint(endpoint, handler) { // Local backend stand-in
+    if (!endpoint.startsWith('mock:')) throw new Error(`Mock endpoints must start with "mock:" (got ${endpoint})`); // Never shadow real URLs
+    SUBMISSION_MOCK_HANDLERS[endpoint] = handler; // Route postJson here
+} // End registerMockEndpoint
+
+/**
+ * Exponential backoff with jitter, capped at `maxDelayMs`.
+ * @param {number} attempt - 1-based attempt number that just failed
+ * @returns {number} delay in ms
+ */
+function backoffDelay(attempt) { // Compute delay before next attempt
+    const ceiling = Math.min(SUBMISSION_CONFIG.maxDelayMs, SUBMISSION_CONFIG.baseDelayMs * 2 ** (attempt - 1)); // Exponential cap
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2); // Jitter in upper half to avoid thundering herd
+} // End backoffDelay
+
+/**
+ * @param {number} status - HTTP status (0 when no response arrived)
+ * @returns {boolean} whether the failure is transient (network, 408, 429, 5xx)
+ */
+function isRetryableStatus(status) { // Transient vs definitive
+    return !status || status === 408 || status === 429 || status >= 500; // Worth another attempt later
+} // End isRetryableStatus
+
+/**
+ * True when an error came from connectivity (fetch TypeError, abort/timeout
+ * or exhausted retries with no HTTP status) rather than a server response.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isNetworkFailure(err) { // Classify error source
+    if (err instanceof SubmissionError) return err.status === 0; // Only status-less submission errors
+    return !!err && (err.name === 'TypeError' || err.name === 'AbortError'); // fetch network failure / timeout
+} // End isNetworkFailure
+
+/**
+ * Promise-based sleep helper.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) { // Sleep for ms
+    return new Promise(resolve => setTimeout(resolve, ms)); // Resolve after timeout
+} // End wait
+
+/**
+ * Generates a unique idempotency key (UUID v4 where available).
+ * @returns {string}
+ */
+function createIdempotencyKey() { // Unique key per logical submission
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID(); // Native UUID
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`; // Fallback for older browsers
+} // End createIdempotencyKey
+
+/**
+ * Reads the offline outbox from localStorage.
+ * @returns {Array<Object>}
+ */
+function readSubmissionQueue() { // Load queued entries
+    try { // Guard against corrupt JSON / disabled storage
+        return JSON.parse(localStorage.getItem(SUBMISSION_CONFIG.queueKey)) || []; // Parsed queue or empty
+    } catch (err) { // Storage unavailable or malformed
+        return []; // Treat as empty
+    } // End try/catch
+} // End readSubmissionQueue
+
+/**
+ * Persists the offline outbox.
+ * @param {Array<Object>} queue
+ */
+function writeSubmissionQueue(queue) { // Save queued entries
+    try { // Storage may be full or disabled
+        localStorage.setItem(SUBMISSION_CONFIG.queueKey, JSON.stringify(queue)); // Serialize queue
+    } catch (err) { // Quota / privacy mode
+        console.warn('Unable to persist submission queue', err); // Non-fatal
+    } // End try/catch
+} // End writeSubmissionQueue
+
+/**
+ * Adds an entry to the outbox unless one with the same key is already queued.
+ * @param {Object} entry
+ */
+function enqueueSubmission(entry) { // Append to outbox
+    const queue = readSubmissionQueue(); // Current outbox
+    if (queue.some(item => item.idempotencyKey === entry.idempotencyKey)) return; // Already queued
+    queue.push(entry); // Add new entry
+    writeSubmissionQueue(queue); // Persist
+} // End enqueueSubmission
+
+let submissionQueueFlushing = false; // Prevents overlapping replays
+
+/**
+ * Replays queued submissions in order. Entries that are delivered or
+ * definitively rejected (4xx) are removed; connectivity failures and
+ * server outages (408, 429, 5xx after retries) stop the flush and leave
+ * the remainder for the next `online` event or page load.
+ * @returns {Promise<number>} number of entries delivered
+ */
+async function flushSubmissionQueue() { // Replay outbox
+    if (submissionQueueFlushing || !navigator.onLine) return 0; // Skip if busy or offline
+    submissionQueueFlushing = true; // Acquire flag
+    let delivered = 0; // Delivered counter
+    try { // Always release flag
+        for (const entry of readSubmissionQueue()) { // Snapshot of outbox
+            try { // Attempt replay (same idempotency key)
+                await sendWithRetry(entry); // Deliver
+                delivered++; // Count success
+                trackEvent('queued_submission_delivered', entry.kind); // Analytics
+            } catch (err) { // Failed replay
+                if (isNetworkFailure(err) || (err instanceof SubmissionError && isRetryableStatus(err.status))) break; // Offline or server down; keep remainder
+                console.warn('Dropping rejected queued submission', entry.idempotencyKey, err); // Permanent rejection
+            } // End replay try/catch
+            writeSubmissionQueue(readSubmissionQueue().filter(item => item.idempotencyKey !== entry.idempotencyKey)); // Remove processed entry
+        } // End outbox loop
+    } finally { // Cleanup
+        submissionQueueFlushing = false; // Release flag
+    } // End try/finally
+    if (delivered) showSuccessMessage(t('submission.replayed', { count: delivered })); // Inform visitor
+    return delivered; // Report count
+} // End flushSubmissionQueue
+
+/**
+ * Replays anything left in the outbox on load and whenever the browser
+ * regains connectivity.
+ */
+function initializeSubmissionQueue() { // Wire up outbox replay
+    window.addEventListener('online', flushSubmissionQueue); // Replay when connection returns
+    flushSubmissionQueue(); // Replay leftovers from a previous visit
+} // End initializeSubmissionQueue
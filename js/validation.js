@@ -0,0 +1,381 @@
+/**
+ * Declarative form validation. Each form registers a schema mapping field
+ * ids to rule objects; the engine evaluates them, renders accessible
+ * `.invalid-feedback` text (linked through aria-describedby) and builds an
+ * error summary that receives focus on submit. Native constraint
+ * validation is not used, so forms carry `novalidate`.
+ */
+const BLOCKED_EMAIL_DOMAINS = [ // Disposable / placeholder inboxes we cannot follow up with
+    'example.com', 'example.org', 'test.com', 'mailinator.com', 'guerrillamail.com', // Common throwaways
+    '10minutemail.com', 'tempmail.com', 'yopmail.com', 'trashmail.com', 'sharklasers.com' // Temporary inbox services
+]; // End BLOCKED_EMAIL_DOMAINS
+
+/**
+ * Rule schemas keyed by form id, then by field id. Supported rule keys are
+ * the names in VALIDATORS plus `label` (message catalog key of the field
+ * name used in messages) and `requiredIf` (`{ field, equals }`). `checks`
+ * holds cross-field rules: `{ test(value, values) → boolean, message
+ * (catalog key), dependsOn: [ids] }`.
+ */
+const VALIDATION_SCHEMAS = { // Declarative rules per form
+    infoRequestForm: { // Request Information form
+        riFirstName: { label: 'fields.firstName', required: true, personName: true }, // Given name
+        riLastName: { label: 'fields.lastName', required: true, personName: true }, // Family name
+        riEmail: { label: 'fields.email', required: true, email: true, blockedDomains: BLOCKED_EMAIL_DOMAINS }, // Contact email
+        riPhone: { label: 'fields.phone', phone: true }, // Optional phone
+        riMessage: { label: 'fields.message', requiredIf: { field: 'riInterest', equals: 'Other' }, maxLength: 1000 } // Needed to describe "Other"
+    }, // End infoRequestForm
+    applicationForm: { // Application wizard
+        firstName: { label: 'fields.firstName', required: true, personName: true }, // Given name
+        lastName: { label: 'fields.lastName', required: true, personName: true }, // Family name
+        email: { label: 'fields.email', required: true, email: true, blockedDomains: BLOCKED_EMAIL_DOMAINS }, // Contact email
+        phone: { label: 'fields.phone', phone: true }, // Optional phone
+        birthDate: { // Applicant age sanity check
+            label: 'fields.birthDate', required: true, pastDate: true, // Must be in the past
+            checks: [{ test: value => yearsSince(value) >= 13, message: 'validation.minimumAge' }] // Minimum age
+        }, // End birthDate
+        highSchool: { label: 'fields.highSchool', required: true, maxLength: 120 }, // Most recent institution
+        graduationYear: { // Cross-checked against date of birth
+            label: 'fields.graduationYear', required: true, integer: true, min: 1950, max: new Date().getFullYear() + 8, // Plausible range (rolls with the calendar)
+            checks: [{ // Graduating before ~14 is implausible
+                test: (value, values) => !values.birthDate || Number(value) >= parseLocalDate(values.birthDate).getFullYear() + 14, // Compare with birth year
+                message: 'validation.graduationYear', // Error copy
+                dependsOn: ['birthDate'] // Re-run when birth date changes
+            }] // End checks
+        }, // End graduationYear
+        gpa: { label: 'fields.gpa', number: true, min: 0, max: 4 }, // Optional GPA on 4.0 scale
+        program: { label: 'fields.program', required: true }, // Program select
+        campus: { label: 'fields.campus', required: true }, // Campus select
+        essayPrompt: { label: 'fields.essayPrompt', required: true }, // Prompt select
+        personalStatement: { label: 'fields.personalStatement', required: true, minWords: 50, maxLength: 3800 }, // Essay body
+        supportingDocs: { label: 'fields.supportingDocs', maxFiles: 5 } // Upload count
+    }, // End applicationForm
+    costCalculatorForm: { // Net price calculator
+        costCredits: { label: 'fields.credits', required: true, integer: true, min: 1, max: 21 }, // Credit load
+        costIncome: { label: 'fields.income', number: true, min: 0 }, // Optional income
+        costEfc: { label: 'fields.efc', number: true, min: -1500 } // Optional; SAI can be negative
+    }, // End costCalculatorForm
+    visitBookingForm: { // Campus visit booking modal
+        visitCampus: { label: 'fields.visitCampus', required: true }, // Campus select
+        visitType: { label: 'fields.visitType', required: true }, // Tour / virtual session
+        visitDate: { // Must have scheduled sessions
+            label: 'fields.visitDate', required: true, // Date picker
+            checks: [{ // Closed days, weekdays without sessions, outside the booking window
+                test: (value, values) => getVisitSlots(values.visitCampus, values.visitType, value).length > 0, // Any slot that day
+                message: 'validation.visitDate', // Error copy
+                dependsOn: ['visitCampus', 'visitType'] // Re-run when the session changes
+            }] // End checks
+        }, // End visitDate
+        visitTime: { // Slot must still fit the party
+            label: 'fields.visitTime', required: true, // Slot select
+            checks: [{ // Seats left vs party size
+                test: (value, values) => getVisitSeatsLeft(values.visitCampus, values.visitType, values.visitDate, value) >= (Number(values.visitPartySize) || 1), // Capacity
+                message: 'validation.visitSeats', // Error copy
+                dependsOn: ['visitPartySize'] // Re-run when the party grows
+            }] // End checks
+        }, // End visitTime
+        visitPartySize: { label: 'fields.partySize', required: true, integer: true, min: 1, max: 6 }, // Visitors incl. the booker
+        visitFirstName: { label: 'fields.firstName', required: true, personName: true }, // Given name
+        visitLastName: { label: 'fields.lastName', required: true, personName: true }, // Family name
+        visitEmail: { label: 'fields.email', required: true, email: true, blockedDomains: BLOCKED_EMAIL_DOMAINS }, // Confirmation email
+        visitPhone: { label: 'fields.phone', phone: true } // Optional phone
+    }, // End visitBookingForm
+    packetEmailForm: { // "Email me this packet"
+        packetEmail: { label: 'fields.email', required: true, email: true, blockedDomains: BLOCKED_EMAIL_DOMAINS } // Recipient
+    } // End packetEmailForm
+}; // End VALIDATION_SCHEMAS
+
+/**
+ * Rule implementations. Each receives the field value, the rule parameter
+ * and a context `{ label, field, values }` (label already translated), and
+ * returns an error message in the active language (empty string when the
+ * rule passes). Empty optional values never reach these (see
+ * validateFieldRules).
+ */
+const VALIDATORS = { // Rule name → validator
+    required: (value, enabled, ctx) => enabled && isEmptyValue(value, ctx.field) ? t('validation.required', { label: ctx.label }) : '', // Presence
+    email: (value, enabled, ctx) => enabled && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? t('validation.email', { label: ctx.label.toLowerCase() }) : '', // Basic shape
+    blockedDomains: (value, domains) => { // Disposable inbox blocklist
+        const domain = value.split('@').pop().toLowerCase(); // Domain part
+        return domains.includes(domain) ? t('validation.blockedDomain', { domain }) : ''; // Reject blocked domains
+    }, // End blockedDomains
+    personName: (value, enabled, ctx) => enabled && !/^[\p{L}][\p{L}\p{M}' .-]{0,49}$/u.test(value) // Letters, accents, spaces, apostrophes, hyphens
+        ? t('validation.personName', { label: ctx.label }) : '', // Error copy
+    phone: (value, enabled) => { // US 10-digit or international E.164
+        if (!enabled) return ''; // Rule disabled
+        const digits = value.replace(/[\s().-]/g, ''); // Strip formatting characters
+        const valid = /^\+[1-9]\d{7,14}$/.test(digits) || /^1?\d{10}$/.test(digits); // E.164 or NANP
+        return valid ? '' : t('validation.phone'); // Error copy
+    }, // End phone
+    number: (value, enabled, ctx) => enabled && !Number.isFinite(Number(value)) ? t('validation.number', { label: ctx.label }) : '', // Numeric
+    integer: (value, enabled, ctx) => enabled && !/^\d+$/.test(value) ? t('validation.integer', { label: ctx.label }) : '', // Whole number
+    min: (value, min, ctx) => Number(value) < min ? t('validation.min', { label: ctx.label, min }) : '', // Lower bound
+    max: (value, max, ctx) => Number(value) > max ? t('validation.max', { label: ctx.label, max }) : '', // Upper bound
+    maxLength: (value, max, ctx) => value.length > max ? t('validation.maxLength', { label: ctx.label, max }) : '', // Length cap
+    minWords: (value, min, ctx) => countWords(value) < min ? t('validation.minWords', { label: ctx.label, min, count: countWords(value) }) : '', // Essay length
+    pastDate: (value, enabled, ctx) => enabled && !(parseLocalDate(value) < new Date()) ? t('validation.pastDate', { label: ctx.label }) : '', // Not in future
+    maxFiles: (value, max, ctx) => ctx.field.files && ctx.field.files.length > max ? t('validation.maxFiles', { max }) : '' // Upload limit
+}; // End VALIDATORS
+
+/**
+ * Binds blur / input listeners for every form that has a schema and
+ * prepares feedback elements + aria attributes.
+ */
+function initializeFormValidation() { // Setup validation for registered forms
+    Object.keys(VALIDATION_SCHEMAS).forEach(formId => { // Each schema
+        const form = document.getElementById(formId); // Form element
+        if (form) bindFormValidation(form); // Bind if present on page
+    }); // End schemas loop
+    document.addEventListener('localechange', refreshValidationMessages); // Messages follow the language
+} // End initializeFormValidation
+
+/**
+ * Re-renders visible error messages (and any open summary, without moving
+ * focus) in the newly selected language.
+ */
+function refreshValidationMessages() { // Re-translate shown errors
+    Object.keys(VALIDATION_SCHEMAS).forEach(formId => { // Each schema
+        const form = document.getElementById(formId); // Form element
+        if (!form) return; // Not on page
+        const errors = Array.from(form.querySelectorAll('.is-invalid')) // Flagged fields
+            .map(field => ({ field, message: validateFieldRules(form, field) })) // Re-run in new language
+            .filter(result => result.message); // Still failing
+        if (form.querySelector('.validation-summary')) renderErrorSummary(form, errors, { focus: false }); // Keep summary in sync
+    }); // End schemas loop
+} // End refreshValidationMessages
+
+/**
+ * Wires realtime validation for one form: validate on blur, re-validate
+ * invalid fields while typing, and re-check fields that depend on the one
+ * that changed (conditional requirements and cross-field checks).
+ * @param {HTMLFormElement} form
+ */
+function bindFormValidation(form) { // Attach listeners to one form
+    const schema = VALIDATION_SCHEMAS[form.id] || {}; // Rules for this form
+    Object.entries(schema).forEach(([id, rules]) => { // Each configured field
+        const field = document.getElementById(id); // Field element
+        if (!field) return; // Skip missing markup
+        ensureFeedbackElement(field); // Create / link .invalid-feedback
+        if (rules.required) field.setAttribute('aria-required', 'true'); // Expose requirement to AT
+
+        field.addEventListener('blur', () => validateFieldRules(form, field)); // Validate when leaving
+        const revalidate = () => { // Keep feedback fresh while correcting
+            if (field.classList.contains('is-invalid')) validateFieldRules(form, field); // Only once flagged
+            getDependentFields(form, id).forEach(dep => { // Fields whose rules reference this one
+                if (dep.classList.contains('is-invalid') || dep.classList.contains('is-valid')) validateFieldRules(form, dep); // Re-run touched dependents
+            }); // End dependents loop
+        }; // End revalidate
+        field.addEventListener('input', revalidate); // Text inputs
+        field.addEventListener('change', revalidate); // Selects / dates / files
+    }); // End schema loop
+} // End bindFormValidation
+
+/**
+ * Evaluates one field against its schema and renders the result.
+ * @param {HTMLFormElement} form
+ * @param {HTMLElement} field
+ * @returns {string} error message ('' when valid)
+ */
+function validateFieldRules(form, field) { // Validate and render a single field
+    const rules = (VALIDATION_SCHEMAS[form.id] || {})[field.id]; // Field rules
+    if (!rules) return ''; // Unconfigured fields are always valid
+    const values = getFormValues(form); // Snapshot for cross-field rules
+    const value = field.type === 'file' ? '' : field.value.trim(); // Normalised value
+    const ctx = { label: rules.label ? t(rules.label) : field.id, field, values }; // Validator context
+    const required = rules.required || (rules.requiredIf && values[rules.requiredIf.field] === rules.requiredIf.equals); // Conditional requirement
+
+    let message = VALIDATORS.required(value, required, ctx); // Presence first
+    if (!message && !isEmptyValue(value, field)) { // Only validate content that exists
+        for (const [name, param] of Object.entries(rules)) { // Remaining rule keys
+            if (!VALIDATORS[name] || name === 'required') continue; // Skip non-validators
+            message = VALIDATORS[name](value, param, ctx); // Run validator
+            if (message) break; // First failure wins
+        } // End rules loop
+        if (!message && rules.checks) { // Cross-field / custom checks
+            const failed = rules.checks.find(check => !check.test(value, values)); // First failing check
+            message = failed ? t(failed.message) : ''; // Use its message
+        } // End checks
+    } // End content validation
+
+    renderFieldError(field, message); // Update classes + feedback text
+    return message; // Report result
+} // End validateFieldRules
+
+/**
+ * Validates a set of fields (the whole schema by default). When invalid,
+ * renders an error summary at the top of the form and focuses it.
+ * @param {HTMLFormElement} form
+ * @param {{fields?: HTMLElement[], summary?: boolean}} [options]
+ * @returns {boolean} whether every field passed
+ */
+function validateForm(form, options = {}) { // Validate many fields at once
+    const schema = VALIDATION_SCHEMAS[form.id] || {}; // Rules for this form
+    const fields = options.fields || Object.keys(schema).map(id => document.getElementById(id)).filter(Boolean); // Target fields
+    const errors = fields // Collect failures
+        .map(field => ({ field, message: validateFieldRules(form, field) })) // Validate each
+        .filter(result => result.message); // Keep failures only
+    if (options.summary !== false) renderErrorSummary(form, errors); // Summary + focus
+    return errors.length === 0; // Overall validity
+} // End validateForm
+
+/**
+ * Renders (or clears) the error summary and moves focus to it.
+ * @param {HTMLFormElement} form
+ * @param {Array<{field: HTMLElement, message: string}>} errors
+ * @param {{focus?: boolean}} [options]
+ */
+function renderErrorSummary(form, errors, options = {}) { // Accessible error summary
+    let summary = form.querySelector('.validation-summary'); // Existing summary
+    if (!errors.length) { // Nothing to report
+        summary && summary.remove(); // Drop stale summary
+        return; // Done
+    } // End empty branch
+    if (!summary) { // Create on first use
+        summary = document.createElement('div'); // Container
+        summary.className = 'validation-summary alert alert-danger small'; // Styling
+        summary.tabIndex = -1; // Programmatically focusable
+        form.prepend(summary); // Place above fields
+    } // End creation
+    summary.innerHTML = ''; // Reset content
+    const heading = document.createElement('p'); // Summary heading
+    heading.className = 'fw-semibold mb-1'; // Typography
+    heading.textContent = t('validation.summary', { count: errors.length }); // Count-aware copy
+    const list = document.createElement('ul'); // Error list
+    list.className = 'mb-0'; // Spacing
+    errors.forEach(({ field, message }) => { // One link per error
+        const li = document.createElement('li'); // Item
+        const link = document.createElement('a'); // Jump link
+        link.href = `#${field.id}`; // Target field
+        link.textContent = message; // Error copy
+        link.addEventListener('click', e => { // Focus field instead of scrolling page
+            e.preventDefault(); // Keep URL + scroll stable
+            field.focus(); // Move focus to field
+        }); // End click handler
+        li.appendChild(link); // Assemble item
+        list.appendChild(li); // Add to list
+    }); // End errors loop
+    summary.append(heading, list); // Populate summary
+    if (options.focus !== false) summary.focus(); // Move focus to summary (read out on focus)
+    else announce(heading.textContent, 'assertive'); // Not focused: read the count out instead
+} // End renderErrorSummary
+
+/**
+ * Applies validity classes, aria-invalid and feedback text for a field.
+ * @param {HTMLElement} field
+ * @param {string} message - '' when valid
+ */
+function renderFieldError(field, message) { // Paint field state
+    const feedback = ensureFeedbackElement(field); // Linked feedback element
+    field.classList.toggle('is-invalid', !!message); // Invalid styling
+    field.classList.toggle('is-valid', !message); // Valid styling
+    field.setAttribute('aria-invalid', message ? 'true' : 'false'); // Expose state
+    feedback.textContent = message; // Error text (empty hides it)
+} // End renderFieldError
+
+/**
+ * Returns the field's `.invalid-feedback` element, creating one after the
+ * field when missing and linking it through aria-describedby.
+ * @param {HTMLElement} field
+ * @returns {HTMLElement}
+ */
+function ensureFeedbackElement(field) { // Locate or create feedback node
+    const id = `${field.id}Feedback`; // Predictable id
+    let feedback = document.getElementById(id); // Existing node
+    if (!feedback) { // Reuse static markup or create
+        feedback = field.parentElement.querySelector('.invalid-feedback') || document.createElement('div'); // Sibling from markup
+        feedback.id = id; // Assign id for aria-describedby
+        feedback.classList.add('invalid-feedback'); // Bootstrap styling (shown after .is-invalid)
+        if (!feedback.parentElement) field.insertAdjacentElement('afterend', feedback); // Insert new node
+        feedback.textContent = ''; // Start empty; messages come from rules
+    } // End creation
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean); // Existing ids
+    if (!describedBy.includes(id)) field.setAttribute('aria-describedby', describedBy.concat(id).join(' ')); // Link feedback
+    return feedback; // Feedback element
+} // End ensureFeedbackElement
+
+/**
+ * Fields whose rules reference `id` via requiredIf or checks.dependsOn.
+ * @param {HTMLFormElement} form
+ * @param {string} id
+ * @returns {HTMLElement[]}
+ */
+function getDependentFields(form, id) { // Reverse dependency lookup
+    const schema = VALIDATION_SCHEMAS[form.id] || {}; // Rules for this form
+    return Object.entries(schema) // All fields
+        .filter(([, rules]) => (rules.requiredIf && rules.requiredIf.field === id) || // Conditional requirement
+            (rules.checks || []).some(check => (check.dependsOn || []).includes(id))) // Cross-field check
+        .map(([fieldId]) => document.getElementById(fieldId)) // Resolve elements
+        .filter(Boolean); // Drop missing
+} // End getDependentFields
+
+/**
+ * Snapshot of trimmed values for every control with an id.
+ * @param {HTMLFormElement} form
+ * @returns {Object<string, string>}
+ */
+function getFormValues(form) { // Collect values for cross-field rules
+    const values = {}; // id → value
+    form.querySelectorAll('input, select, textarea').forEach(el => { // Every control
+        if (el.id && el.type !== 'file') values[el.id] = el.value.trim(); // Skip files
+    }); // End controls loop
+    return values; // Snapshot
+} // End getFormValues
+
+/**
+ * Clears validity classes, feedback text and the summary (after reset).
+ * @param {HTMLFormElement} form
+ */
+function clearFormValidation(form) { // Reset visual validation state
+    form.querySelectorAll('.is-valid, .is-invalid').forEach(el => { // Flagged fields
+        el.classList.remove('is-valid', 'is-invalid'); // Drop classes
+        el.removeAttribute('aria-invalid'); // Drop state
+    }); // End fields loop
+    form.querySelectorAll('.invalid-feedback').forEach(el => { el.textContent = ''; }); // Empty messages
+    renderErrorSummary(form, []); // Remove summary
+} // End clearFormValidation
+
+/**
+ * @param {string} value - trimmed value
+ * @param {HTMLElement} field
+ * @returns {boolean} whether the field counts as empty
+ */
+function isEmptyValue(value, field) { // Presence helper
+    if (field && field.type === 'file') return !field.files || field.files.length === 0; // No files picked
+    return value === ''; // Empty text / unselected option
+} // End isEmptyValue
+
+/**
+ * @param {string} text
+ * @returns {number} whitespace-separated word count
+ */
+function countWords(text) { // Simple word counter
+    return text.trim().split(/\s+/).filter(Boolean).length; // Ignore empty tokens
+} // End countWords
+
+/**
+ * @param {string} isoDate
+ * @returns {number} whole years elapsed since the date
+ */
+function yearsSince(isoDate) { // Age helper
+    const date = parseLocalDate(isoDate); // Local midnight of that day
+    const now = new Date(); // Today
+    let years = now.getFullYear() - date.getFullYear(); // Raw year difference
+    if (now < new Date(now.getFullYear(), date.getMonth(), date.getDate())) years--; // Birthday not reached yet
+    return years; // Whole years
+} // End yearsSince
+
+/**
+ * Parses a date input value as a local calendar day. `new Date('YYYY-MM-DD')`
+ * means UTC midnight, which is the previous day west of UTC.
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {Date} local midnight (Invalid Date for other formats or impossible days)
+ */
+function parseLocalDate(isoDate) { // Date input → local Date
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoDate); // Calendar parts
+    if (!match) return new Date(NaN); // Not a date input value
+    const [, year, month, day] = match.map(Number); // Numeric parts
+    const date = new Date(0, 0, 1); // Local midnight
+    date.setFullYear(year, month - 1, day); // Unlike the constructor, keeps years 0–99 as written
+    const roundTrips = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day; // e.g. rejects 2023-02-30
+    return roundTrips ? date : new Date(NaN); // Real calendar day or invalid
+} // End parseLocalDate
@@ -0,0 +1,509 @@
+/**
+ * Campus visit booking. Each campus card gets a "Plan a visit" button that
+ * opens #visitModal preset to that campus. Visitors pick a campus tour or a
+ * virtual info session, a date, and one of the time slots generated from
+ * data/visit-schedule.json (weekly times per session, in the admissions
+ * office's time zone, with a seat capacity). They also give a party size
+ * and contact details. Slots without enough seats are disabled, and the
+ * endpoint re-checks capacity: a 409 means the slot filled up in the
+ * meantime. A confirmed booking shows a summary with an .ics download.
+ *
+ * Bookings go to the form's data-endpoint (the booking API). For local
+ * development, `?mock-bookings` in the URL routes them to
+ * handleMockVisitBooking instead, which keeps accepted bookings in this
+ * browser's localStorage so capacity checks can be tested end to end; the
+ * mock is never used otherwise.
+ */
+const VISIT_BOOKING_CONFIG = { // Defaults
+    scheduleUrl: 'data/visit-schedule.json', // Weekly session schedule
+    mockParam: 'mock-bookings', // Query flag that enables the in-page stand-in (development only)
+    mockEndpoint: 'mock:visit-bookings', // In-page stand-in for the booking API
+    mockStorageKey: 'ru.visitBookingsMock' // Bookings accepted by the mock endpoint
+}; // End VISIT_BOOKING_CONFIG
+
+const VISIT_SCHEDULE_SCHEMA = { // visit-schedule.json shape (`booked` maps "YYYY-MM-DDTHH:MM" → seats taken)
+    timeZone: 'string', // Zone session times are expressed in
+    bookingWindowDays: 'number', // How far ahead visits can be booked
+    minNoticeHours: 'number', // Latest booking before a session starts
+    closedDates: 'string[]?', // Holidays (YYYY-MM-DD)
+    campuses: [{ // Campuses offering visits
+        id: 'string', // campuses.json id
+        sessions: [{ type: 'string', weekdays: 'number[]', times: 'string[]', durationMinutes: 'number', capacity: 'number', location: 'string' }] // Weekly sessions
+    }] // End campuses
+}; // End VISIT_SCHEDULE_SCHEMA
+
+const visitBookingState = { // Loaded schedule + last booking
+    schedule: null, // Validated visit-schedule.json
+    mock: false, // Bookings answered by handleMockVisitBooking (?mock-bookings)
+    fullSlots: new Set(), // Slot ids the endpoint reported as full
+    booking: null, // Last confirmed booking (confirmation panel + .ics)
+    icsUrl: null // Object URL of the confirmation's calendar file
+}; // End visitBookingState
+
+/**
+ * Loads the schedule, reveals the campus card buttons and binds the modal.
+ * Runs in the background: buttons stay hidden if the schedule is missing or invalid.
+ * @returns {Promise<void>}
+ */
+async function initializeVisitBooking() { // Setup visit booking
+    const form = document.getElementById('visitBookingForm'); // Booking form
+    const campusList = document.querySelector('[data-content="campuses"]'); // Rendered campus cards
+    if (!form || !campusList || !contentCache.campuses) return; // Markup or campus data missing
+
+    try { // Network + parse + schema errors
+        const data = await fetchContentData(VISIT_BOOKING_CONFIG.scheduleUrl); // Load schedule
+        const errors = validateContentData(data, VISIT_SCHEDULE_SCHEMA, 'visitSchedule'); // Schema check
+        if (errors.length) throw new Error(errors.join('; ')); // Unusable schedule
+        if (!isValidTimeZone(data.timeZone)) throw new Error(`Unknown time zone "${data.timeZone}"`); // Slots couldn't be placed in time
+        visitBookingState.schedule = data; // Ready
+    } catch (err) { // Missing / malformed file or unknown zone
+        console.warn('Visit booking unavailable', err); // Developer hint
+        return; // Buttons stay hidden
+    } // End try/catch
+
+    visitBookingState.mock = new URLSearchParams(window.location.search).has(VISIT_BOOKING_CONFIG.mockParam); // Explicit dev opt-in
+    if (visitBookingState.mock) registerMockEndpoint(VISIT_BOOKING_CONFIG.mockEndpoint, handleMockVisitBooking); // Local booking API
+    renderVisitCampusOptions(); // Campus select
+    renderVisitBookingButtons(); // Reveal card buttons
+    const { min, max } = getVisitDateRange(); // Booking window
+    Object.assign(document.getElementById('visitDate'), { min, max }); // Date picker bounds
+
+    campusList.addEventListener('click', e => { // Delegated card buttons
+        const button = e.target.closest('[data-action="book-visit"]'); // "Plan a visit"
+        if (button) openVisitBooking(button.dataset.campusId); // Preset campus
+    }); // End click handler
+    document.getElementById('visitCampus').addEventListener('change', () => { // Different campus
+        renderVisitTypeOptions(); // Sessions offered there
+        selectNextVisitDate(); // Keep the date if still bookable
+        renderVisitTimeOptions(); // Slots
+    }); // End campus handler
+    document.getElementById('visitType').addEventListener('change', () => { // Tour ↔ virtual
+        selectNextVisitDate(); // Keep the date if still bookable
+        renderVisitTimeOptions(); // Slots
+    }); // End type handler
+    document.getElementById('visitDate').addEventListener('change', () => { // Slots for the day
+        renderVisitTimeOptions(); // Options + hint
+        announce(document.getElementById('visitTimeHelp').textContent); // "3 times available"
+    }); // End date listener
+    document.getElementById('visitPartySize').addEventListener('input', renderVisitTimeOptions); // Seats vs party
+    form.addEventListener('submit', e => { // Button + Enter key
+        e.preventDefault(); // Handled in page
+        submitVisitBooking(); // Validate + book
+    }); // End submit handler
+    document.getElementById('visitConfirmation').addEventListener('click', e => { // Delegated confirmation actions
+        if (e.target.closest('[data-action="book-another-visit"]')) showVisitBookingForm(); // Back to the form
+    }); // End confirmation handler
+
+    document.addEventListener('localechange', () => { // Generated copy follows the language
+        renderVisitBookingButtons(); // Card buttons were re-rendered hidden
+        renderVisitTypeOptions(); // Session labels
+        renderVisitTimeOptions(); // Slot labels
+        if (!document.getElementById('visitConfirmation').hidden) renderVisitConfirmation(); // Summary + .ics
+    }); // End localechange listener
+} // End initializeVisitBooking
+
+/**
+ * Shows the "Plan a visit" button on cards of campuses with a schedule.
+ */
+function renderVisitBookingButtons() { // Reveal card buttons
+    document.querySelectorAll('[data-action="book-visit"]').forEach(button => { // Each card button
+        button.hidden = !findVisitCampus(button.dataset.campusId); // Only bookable campuses
+    }); // End buttons loop
+} // End renderVisitBookingButtons
+
+/**
+ * Opens the modal for a campus with the next bookable date preselected.
+ * @param {string} campusId
+ */
+function openVisitBooking(campusId) { // Card button handler
+    showVisitBookingForm(); // Leave any previous confirmation
+    document.getElementById('visitCampus').value = campusId; // Preset campus
+    renderVisitTypeOptions(); // Sessions offered there
+    selectNextVisitDate(); // First day with open slots
+    renderVisitTimeOptions(); // Slots
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('visitModal')).show(); // Open modal
+    trackEvent('visit_booking_open', campusId); // Analytics
+} // End openVisitBooking
+
+/**
+ * @param {string} campusId
+ * @returns {?Object} schedule entry for the campus
+ */
+function findVisitCampus(campusId) { // Schedule lookup
+    const { schedule } = visitBookingState; // Loaded schedule
+    return schedule ? schedule.campuses.find(campus => campus.id === campusId) || null : null; // Matching campus
+} // End findVisitCampus
+
+/**
+ * @param {string} campusId
+ * @param {string} type - 'tour' | 'virtual'
+ * @returns {?Object} session entry
+ */
+function findVisitSession(campusId, type) { // Session lookup
+    const campus = findVisitCampus(campusId); // Campus schedule
+    return campus ? campus.sessions.find(session => session.type === type) || null : null; // Matching session
+} // End findVisitSession
+
+/**
+ * @param {string} campusId
+ * @returns {string} display name from campuses.json (falls back to the id)
+ */
+function getVisitCampusName(campusId) { // Campus display name
+    const campus = (contentCache.campuses.campuses || []).find(item => item.id === campusId); // Card data
+    return campus ? campus.name : campusId; // Name
+} // End getVisitCampusName
+
+/**
+ * Lists the bookable time slots of a session on one date, with the seats
+ * still free. Slots inside the minimum notice period or beyond the booking
+ * window are left out.
+ * @param {string} campusId
+ * @param {string} type
+ * @param {string} date - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {Array<{id: string, date: string, time: string, start: Date, end: Date, seatsLeft: number, location: string}>}
+ */
+function getVisitSlots(campusId, type, date, now = new Date()) { // Slots for a day
+    const { schedule } = visitBookingState; // Loaded schedule
+    const session = findVisitSession(campusId, type); // Weekly session
+    if (!session || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || (schedule.closedDates || []).includes(date)) return []; // Unknown / closed
+    const [year, month, day] = date.split('-').map(Number); // Date parts
+    if (!session.weekdays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay())) return []; // Not offered that weekday
+
+    const earliest = now.getTime() + schedule.minNoticeHours * 3600000; // Minimum notice
+    const latest = now.getTime() + (schedule.bookingWindowDays + 1) * 86400000; // Booking window (whole last day)
+    return session.times // Session start times
+        .map(time => { // Build slot
+            const id = `${campusId}/${type}/${date}T${time}`; // Stable slot id
+            const start = zonedTimeToDate(year, month, day, time, schedule.timeZone); // Office wall clock → instant
+            const mockSeats = visitBookingState.mock ? countMockVisitSeats(id) : 0; // This browser's mock bookings
+            const booked = (Number((session.booked || {})[`${date}T${time}`]) || 0) + mockSeats; // Seats taken
+            const seatsLeft = visitBookingState.fullSlots.has(id) ? 0 : Math.max(0, session.capacity - booked); // Remaining
+            return { id, date, time, start, end: new Date(start.getTime() + session.durationMinutes * 60000), seatsLeft, location: session.location }; // Slot
+        }) // End map
+        .filter(slot => slot.start.getTime() >= earliest && slot.start.getTime() <= latest) // Bookable window
+        .sort((a, b) => a.start - b.start); // Chronological
+} // End getVisitSlots
+
+/**
+ * @param {string} campusId
+ * @param {string} type
+ * @param {string} date
+ * @param {string} time - HH:MM
+ * @returns {number} seats left in the slot (0 when it doesn't exist)
+ */
+function getVisitSeatsLeft(campusId, type, date, time) { // Capacity for validation
+    const slot = getVisitSlots(campusId, type, date).find(item => item.time === time); // Matching slot
+    return slot ? slot.seatsLeft : 0; // Seats
+} // End getVisitSeatsLeft
+
+/**
+ * @returns {{min: string, max: string}} YYYY-MM-DD bounds of the booking window (office time zone)
+ */
+function getVisitDateRange() { // Date picker bounds
+    const today = getZonedDateParts(new Date(), visitBookingState.schedule.timeZone); // Office calendar date
+    const day = offset => new Date(Date.UTC(today.year, today.month - 1, today.day + offset)).toISOString().slice(0, 10); // Shifted date
+    return { min: day(0), max: day(visitBookingState.schedule.bookingWindowDays) }; // Window
+} // End getVisitDateRange
+
+/**
+ * Keeps the chosen date when it still has open slots, otherwise selects
+ * the first date in the booking window that does.
+ */
+function selectNextVisitDate() { // Sensible default date
+    const input = document.getElementById('visitDate'); // Date picker
+    const campusId = document.getElementById('visitCampus').value; // Campus
+    const type = document.getElementById('visitType').value; // Session type
+    const hasOpenSlot = date => getVisitSlots(campusId, type, date).some(slot => slot.seatsLeft > 0); // Bookable day?
+    if (input.value && hasOpenSlot(input.value)) return; // Keep visitor's choice
+
+    const { min } = getVisitDateRange(); // First day
+    const start = new Date(`${min}T00:00:00Z`); // UTC midnight
+    for (let i = 0; i <= visitBookingState.schedule.bookingWindowDays; i++) { // Scan window
+        const date = new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10); // Candidate day
+        if (hasOpenSlot(date)) { // First bookable day
+            input.value = date; // Preselect
+            return; // Done
+        } // End match
+    } // End scan
+    input.value = ''; // Nothing bookable
+} // End selectNextVisitDate
+
+/**
+ * Fills the campus select with campuses that have a schedule.
+ */
+function renderVisitCampusOptions() { // Campus options
+    document.getElementById('visitCampus').innerHTML = visitBookingState.schedule.campuses // Scheduled campuses
+        .filter(campus => (contentCache.campuses.campuses || []).some(item => item.id === campus.id)) // Rendered on the page
+        .map(campus => `<option value="${escapeHtml(campus.id)}">${escapeHtml(getVisitCampusName(campus.id))}</option>`) // Option markup
+        .join(''); // Build markup
+} // End renderVisitCampusOptions
+
+/**
+ * Fills the visit type select with the sessions the campus offers,
+ * keeping the current choice when it is still available.
+ */
+function renderVisitTypeOptions() { // Session type options
+    const select = document.getElementById('visitType'); // Type select
+    const campus = findVisitCampus(document.getElementById('visitCampus').value); // Campus schedule
+    const previous = select.value; // Keep selection
+    const sessions = campus ? campus.sessions : []; // Offered sessions
+    select.innerHTML = sessions // Options
+        .map(session => `<option value="${escapeHtml(session.type)}">${escapeHtml(hasTranslation(`visit.types.${session.type}`) ? t(`visit.types.${session.type}`) : session.type)}</option>`) // Option markup
+        .join(''); // Build markup
+    if (sessions.some(session => session.type === previous)) select.value = previous; // Restore
+} // End renderVisitTypeOptions
+
+/**
+ * Lists the chosen day's slots (full ones and those too small for the
+ * party are disabled) and updates the availability hint.
+ */
+function renderVisitTimeOptions() { // Slot options
+    const select = document.getElementById('visitTime'); // Time select
+    const date = document.getElementById('visitDate').value; // Chosen day
+    const party = Math.max(1, parseInt(document.getElementById('visitPartySize').value, 10) || 1); // Seats needed
+    const slots = getVisitSlots(document.getElementById('visitCampus').value, document.getElementById('visitType').value, date); // Day's slots
+    const previous = select.value; // Keep selection
+
+    select.innerHTML = `<option value="">${escapeHtml(t('visit.timePlaceholder'))}</option>` + slots.map(slot => { // Options
+        const time = formatVisitTime(slot.start); // Localised time
+        const label = slot.seatsLeft ? t('visit.seatsLeft', { time, count: slot.seatsLeft }) : t('visit.slotFull', { time }); // Seats copy
+        return `<option value="${escapeHtml(slot.time)}"${slot.seatsLeft < party ? ' disabled' : ''}>${escapeHtml(label)}</option>`; // Option markup
+    }).join(''); // Build markup
+    if (slots.some(slot => slot.time === previous && slot.seatsLeft >= party)) select.value = previous; // Restore if still open
+
+    const open = slots.filter(slot => slot.seatsLeft >= party).length; // Selectable slots
+    const hint = !date ? t('visit.chooseDate') : slots.length ? t('visit.slotsAvailable', { count: open }) : t('visit.noSlots'); // Hint copy
+    document.getElementById('visitTimeHelp').textContent = hint; // Update hint
+} // End renderVisitTimeOptions
+
+/**
+ * Validates and submits the booking. Bookings are never queued offline:
+ * a seat can only be reserved while the endpoint can check capacity.
+ * @returns {Promise<void>}
+ */
+async function submitVisitBooking() { // Book a visit
+    const form = document.getElementById('visitBookingForm'); // Booking form
+    const button = document.getElementById('visitSubmitBtn'); // Submit button
+    if (button.disabled || !validateForm(form)) return; // In flight / invalid (summary receives focus)
+
+    const values = getFormValues(form); // Trimmed values
+    const slot = getVisitSlots(values.visitCampus, values.visitType, values.visitDate).find(item => item.time === values.visitTime); // Chosen slot
+    const payload = { // Booking request
+        slotId: slot.id, // Campus/type/date/time
+        campusId: values.visitCampus, // Campus
+        type: values.visitType, // Tour / virtual
+        date: values.visitDate, // Office-local date
+        time: values.visitTime, // Office-local time
+        start: slot.start.toISOString(), // Absolute start
+        partySize: Number(values.visitPartySize), // Seats requested
+        firstName: values.visitFirstName, // Given name
+        lastName: values.visitLastName, // Family name
+        email: values.visitEmail, // Confirmation email
+        phone: values.visitPhone, // Optional phone
+        locale: getLocale(), // Language for the confirmation email
+        submittedAt: new Date().toISOString() // Timestamp for tracking
+    }; // End payload
+
+    const original = button.innerHTML; // Store original button content
+    button.disabled = true; // Prevent double booking from repeat clicks
+    button.innerHTML = `<span class="loading"></span> ${escapeHtml(t('visit.booking'))}`; // Show loading indicator
+    try { // Deliver via submission pipeline
+        const endpoint = visitBookingState.mock ? VISIT_BOOKING_CONFIG.mockEndpoint : form.dataset.endpoint; // Booking API unless mocked
+        const result = await submitPayload('visitBooking', payload, { endpoint, queue: false }); // POST (never queued)
+        const body = await result.response.json().catch(() => ({})); // Confirmation details
+        visitBookingState.booking = { // Confirmation data (independent of later form edits)
+            ...payload, // Request fields
+            end: slot.end.toISOString(), // End time for the calendar
+            location: slot.location, // Meeting point / online
+            confirmation: body.confirmation || result.idempotencyKey.slice(0, 8).toUpperCase() // Server code or local fallback
+        }; // End booking
+        markFormCompleted('visitBookingForm'); // Closing the modal now isn't an abandonment
+        showVisitConfirmation(); // Summary + .ics
+        trackEvent('visit_booked', `${payload.campusId}/${payload.type}`); // Analytics
+    } catch (err) { // Rejected, full or offline
+        if (err instanceof SubmissionError && err.status === 409) { // Slot filled meanwhile
+            visitBookingState.fullSlots.add(slot.id); // Treat as full from now on
+            renderVisitTimeOptions(); // Disable it
+            validateForm(form, { fields: [document.getElementById('visitTime')] }); // Flag the time field
+            showSuccessMessage(t('visit.slotTaken'), 'error'); // Explain
+        } else if (isNetworkFailure(err)) { // No connection
+            showSuccessMessage(t('visit.offline'), 'error'); // Ask to reconnect
+        } else { // Server rejected or retries exhausted
+            console.error('Visit booking failed', err); // Keep details for debugging
+            showSuccessMessage(t('visit.failed'), 'error'); // Error feedback
+        } // End error branches
+    } finally { // Always restore button
+        button.innerHTML = original; // Restore original button content
+        button.disabled = false; // Re-enable button
+    } // End try/catch/finally
+} // End submitVisitBooking
+
+/**
+ * Swaps the form for the confirmation panel and moves focus to it.
+ */
+function showVisitConfirmation() { // Booking confirmed
+    const panel = document.getElementById('visitConfirmation'); // Confirmation panel
+    renderVisitConfirmation(); // Summary + .ics
+    document.getElementById('visitBookingForm').hidden = true; // Hide form
+    document.getElementById('visitSubmitBtn').hidden = true; // Nothing to submit
+    panel.hidden = false; // Show summary
+    panel.focus(); // Announce + keep keyboard users in the modal
+} // End showVisitConfirmation
+
+/**
+ * Returns from the confirmation to a fresh slot selection, keeping the
+ * visitor's contact details for another booking.
+ */
+function showVisitBookingForm() { // Back to the form
+    const form = document.getElementById('visitBookingForm'); // Booking form
+    if (!document.getElementById('visitConfirmation').hidden) { // Coming from a confirmation
+        ['visitTime', 'visitPartySize'].forEach(id => { document.getElementById(id).value = id === 'visitPartySize' ? '1' : ''; }); // Reset slot choice
+        clearFormValidation(form); // Fresh start
+        selectNextVisitDate(); // Booked slot may be full now
+        renderVisitTimeOptions(); // Updated seat counts
+    } // End reset
+    document.getElementById('visitConfirmation').hidden = true; // Hide summary
+    document.getElementById('visitSubmitBtn').hidden = false; // Submit again
+    form.hidden = false; // Show form
+} // End showVisitBookingForm
+
+/**
+ * Renders the confirmation summary and (re)creates its .ics download.
+ */
+function renderVisitConfirmation() { // Confirmation template
+    const booking = visitBookingState.booking; // Confirmed booking
+    const start = new Date(booking.start); // Session start
+    const type = t(`visit.types.${booking.type}`); // Session label
+    const campus = getVisitCampusName(booking.campusId); // Campus name
+    if (visitBookingState.icsUrl) URL.revokeObjectURL(visitBookingState.icsUrl); // Release previous file
+    visitBookingState.icsUrl = URL.createObjectURL(new Blob([buildVisitCalendar(booking)], { type: 'text/calendar;charset=utf-8' })); // Attachment
+
+    document.getElementById('visitConfirmation').innerHTML = `<div class="text-center">
+        <i class="bi bi-calendar2-check visit-confirmation-icon" aria-hidden="true"></i>
+        <h6 class="fw-bold mt-2">${escapeHtml(t('visit.confirmedTitle'))}</h6>
+        <p class="mb-1">${escapeHtml(t('visit.confirmedText', { type, campus, date: formatVisitDate(start), time: formatVisitTime(start) }))}</p>
+        <p class="text-muted small mb-1">${escapeHtml(t('visit.party', { count: booking.partySize }))} · ${escapeHtml(booking.location)}</p>
+        <p class="small mb-1"><strong>${escapeHtml(t('visit.confirmationCode', { code: booking.confirmation }))}</strong></p>
+        <p class="text-muted small mb-3">${escapeHtml(t('visit.confirmationEmail', { email: booking.email }))}</p>
+        <div class="d-flex flex-wrap justify-content-center gap-2">
+            <a class="btn btn-primary" href="${visitBookingState.icsUrl}" download="rutgers-visit-${escapeHtml(booking.confirmation)}.ics"><i
+                    class="bi bi-calendar-plus me-1" aria-hidden="true"></i>${escapeHtml(t('visit.addToCalendar'))}</a>
+            <button type="button" class="btn btn-outline-primary" data-action="book-another-visit">${escapeHtml(t('visit.bookAnother'))}</button>
+        </div>
+    </div>`; // Summary markup
+} // End renderVisitConfirmation
+
+/**
+ * Builds an RFC 5545 calendar with the booked session and a reminder the
+ * day before.
+ * @param {Object} booking - visitBookingState.booking
+ * @param {Date} [now] - DTSTAMP
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+function buildVisitCalendar(booking, now = new Date()) { // iCalendar builder
+    const params = { campus: getVisitCampusName(booking.campusId), type: t(`visit.types.${booking.type}`) }; // Shared placeholders
+    const lines = [ // Calendar with one event
+        'BEGIN:VCALENDAR', // Start calendar
+        'VERSION:2.0', // iCalendar version
+        'PRODID:-//Rutgers University//Campus Visits//EN', // Producer id
+        'CALSCALE:GREGORIAN', // Calendar system
+        'METHOD:PUBLISH', // Informational (not an invitation)
+        'BEGIN:VEVENT', // Start event
+        `UID:${booking.confirmation}@admissions.rutgers.edu`, // Stable id so re-imports update
+        `DTSTAMP:${formatIcsDateTime(now)}`, // Creation time
+        `DTSTART:${formatIcsDateTime(new Date(booking.start))}`, // UTC start
+        `DTEND:${formatIcsDateTime(new Date(booking.end))}`, // UTC end
+        `SUMMARY:${escapeIcsText(t('visit.calendarTitle', params))}`, // Title
+        `LOCATION:${escapeIcsText(booking.location)}`, // Meeting point
+        `DESCRIPTION:${escapeIcsText(t('visit.calendarDescription', { party: t('visit.party', { count: booking.partySize }), code: booking.confirmation }))}`, // Details
+        'BEGIN:VALARM', // Start alarm
+        'ACTION:DISPLAY', // Notification
+        `DESCRIPTION:${escapeIcsText(t('visit.calendarReminder', params))}`, // Alarm text
+        'TRIGGER:-P1D', // Day before
+        'END:VALARM', // End alarm
+        'END:VEVENT', // End event
+        'END:VCALENDAR' // End calendar
+    ]; // End lines
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n'; // RFC 5545 line endings
+} // End buildVisitCalendar
+
+/**
+ * @param {Date} date
+ * @returns {string} time in the office zone, e.g. "10:00 AM EDT"
+ */
+function formatVisitTime(date) { // Slot time label
+    return date.toLocaleTimeString(getIntlLocale(), { hour: 'numeric', minute: '2-digit', timeZone: visitBookingState.schedule.timeZone, timeZoneName: 'short' }); // Localised time
+} // End formatVisitTime
+
+/**
+ * @param {Date} date
+ * @returns {string} date in the office zone, e.g. "Saturday, October 24, 2026"
+ */
+function formatVisitDate(date) { // Slot date label
+    return date.toLocaleDateString(getIntlLocale(), { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: visitBookingState.schedule.timeZone }); // Localised date
+} // End formatVisitDate
+
+/**
+ * Mock booking API: accepts a booking when the slot still has enough
+ * seats, answers replays of the same idempotency key with the original
+ * confirmation, and rejects overbooking with 409.
+ * @param {Object} body - JSON body a server would receive
+ * @returns {Promise<Response>}
+ */
+async function handleMockVisitBooking(body) { // Local stand-in for POST /api/visit-bookings
+    const bookings = readMockVisitBookings(); // Accepted bookings
+    const replay = bookings.find(booking => booking.idempotencyKey === body.idempotencyKey); // Retry of an accepted request?
+    if (replay) return createJsonResponse(200, { confirmation: replay.confirmation }); // Same answer again
+
+    const slot = getVisitSlots(body.campusId, body.type, body.date).find(item => item.id === body.slotId); // Requested slot
+    const partySize = Number(body.partySize); // Seats requested
+    const maxParty = VALIDATION_SCHEMAS.visitBookingForm.visitPartySize.max; // Same limit as the form
+    if (!slot || !Number.isInteger(partySize) || partySize < 1 || partySize > maxParty) return createJsonResponse(422, { error: 'invalid_booking' }); // Bad request
+    if (slot.seatsLeft < partySize) return createJsonResponse(409, { error: 'slot_full', seatsLeft: slot.seatsLeft }); // Would overbook
+
+    const confirmation = `RU-${createIdempotencyKey().replace(/-/g, '').slice(0, 6).toUpperCase()}`; // Short code
+    bookings.push({ idempotencyKey: body.idempotencyKey, slotId: slot.id, partySize, confirmation, createdAt: new Date().toISOString() }); // Reserve seats
+    writeMockVisitBookings(bookings); // Persist
+    return createJsonResponse(201, { confirmation }); // Created
+} // End handleMockVisitBooking
+
+/**
+ * @param {number} status
+ * @param {Object} body
+ * @returns {Response} JSON response for mock endpoints
+ */
+function createJsonResponse(status, body) { // Response factory
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } }); // JSON body
+} // End createJsonResponse
+
+/**
+ * @param {string} slotId
+ * @returns {number} seats taken in the slot by mock bookings
+ */
+function countMockVisitSeats(slotId) { // Mock capacity usage
+    return readMockVisitBookings().filter(booking => booking.slotId === slotId).reduce((sum, booking) => sum + booking.partySize, 0); // Sum party sizes
+} // End countMockVisitSeats
+
+/**
+ * @returns {Array<Object>} bookings accepted by the mock endpoint
+ */
+function readMockVisitBookings() { // Load mock bookings
+    try { // Guard against corrupt JSON / disabled storage
+        const stored = JSON.parse(localStorage.getItem(VISIT_BOOKING_CONFIG.mockStorageKey)); // Parsed list
+        return Array.isArray(stored) ? stored : []; // Valid list or empty
+    } catch (err) { // Storage unavailable or malformed
+        return []; // Treat as empty
+    } // End try/catch
+} // End readMockVisitBookings
+
+/**
+ * @param {Array<Object>} bookings
+ */
+function writeMockVisitBookings(bookings) { // Save mock bookings
+    try { // Storage may be full or disabled
+        localStorage.setItem(VISIT_BOOKING_CONFIG.mockStorageKey, JSON.stringify(bookings)); // Serialize list
+    } catch (err) { // Quota / privacy mode
+        console.warn('Unable to persist mock visit bookings', err); // Non-fatal
+    } // End try/catch
+} // End writeMockVisitBookings